@@ -0,0 +1,153 @@
+/**
+ * @module active
+ * @description Active link detection.
+ * Compares destinations with the current location by params rather than by
+ * strings, so query param order, defaults and nested patterns don't matter,
+ * and marks the active links of a navigation with `aria-current`.
+ */
+
+import { createLocation } from "./history";
+import { isEqual, pick } from "./util";
+
+/** @constant {string} DEFAULT_ACTIVE_CLASS - Class added to active links */
+const DEFAULT_ACTIVE_CLASS = "active";
+
+/**
+ * Creates the active link functions bound to a router instance.
+ *
+ * @param {Object} router - Router instance exposing `history`, `matches`, `toParams`,
+ *   `toUrl` and `trackLocation`
+ * @returns {{activeLink: Function, isActive: Function}}
+ * @private
+ */
+export function createActive(router) {
+  /**
+   * Checks if a destination is the current location, or one of its ancestors.
+   * The destination is resolved like `toUrl`, then both locations are parsed
+   * with the pattern and compared by params:
+   * - By default, the current pathname must be the destination's, or nested
+   *   under it, and the destination params must have the same values in the
+   *   current location (other current params are ignored)
+   * - With `exact`, pathnames and all params must be equal
+   *
+   * With a pattern, both locations must also match it.
+   *
+   * @param {string|Object|Function} to - Destination, as for `toUrl`. Relative
+   *   URLs (e.g. "?tab=2") are resolved against the compared location
+   * @param {Object} [options]
+   * @param {string|Object} [options.pattern] - URL pattern used to build and parse params
+   * @param {boolean} [options.exact=false] - Only match the same pathname and params
+   * @param {Array<string>} [options.keys] - Only compare these params
+   * @param {Object} [options.location] - Location compared with, the current one by default
+   * @returns {boolean} True if the destination is active
+   *
+   * @example
+   * // URL: /users/3?tab=bio&sort=name
+   * isActive("/users"); // true
+   * isActive("/users", { exact: true }); // false
+   * isActive({ id: 3, tab: "bio" }, { pattern: "/users/:id" }); // true
+   * isActive((params) => ({ ...params, tab: "posts" }), { pattern: "/users/:id", keys: ["tab"] }); // false
+   */
+  function isActive(
+    to,
+    { pattern, exact = false, keys, location = router.history.location } = {}
+  ) {
+    const destination = createLocation(
+      router.toUrl(to, pattern),
+      undefined,
+      undefined,
+      location
+    );
+    if (
+      !isSamePathname(destination.pathname, location.pathname, exact) ||
+      (pattern &&
+        !(
+          router.matches(destination, pattern) &&
+          router.matches(location, pattern)
+        ))
+    ) {
+      return false;
+    }
+
+    const toParams = router.toParams(destination, pattern);
+    const currParams = router.toParams(location, pattern);
+    /* Pathnames are already compared, including the `_` catch-all param */
+    const comparedKeys = (
+      keys ||
+      (exact
+        ? Array.from(
+            new Set([...Object.keys(toParams), ...Object.keys(currParams)])
+          )
+        : Object.keys(toParams))
+    ).filter((key) => key !== "_");
+    return isEqual(
+      pick(comparedKeys, toParams),
+      pick(comparedKeys, currParams)
+    );
+  }
+
+  /**
+   * Marks a link as active when its `href` is active (see `isActive`), with an
+   * `aria-current="page"` attribute and a class, updated on each location change.
+   * Links are typically handled with `goTo` or `interceptLinks`.
+   * Follows the Svelte action contract, and works with plain DOM elements.
+   *
+   * @param {Element} node - Anchor element
+   * @param {Object} [options] - `isActive` options (`pattern`, `exact`, `keys`), plus:
+   * @param {string} [options.className="active"] - Class added to the active link
+   * @returns {{update: Function, destroy: Function}} Action updating the options or removing the listener
+   *
+   * @example
+   * // Svelte
+   * <a href="/users" on:click={goTo} use:activeLink>Users</a>
+   * <a href="/" on:click={goTo} use:activeLink={{ exact: true, className: "selected" }}>Home</a>
+   *
+   * @example
+   * // Plain DOM
+   * const { destroy } = activeLink(document.querySelector("a.home"), { exact: true });
+   */
+  function activeLink(node, options = {}) {
+    let current = options;
+
+    const render = (location) => {
+      const { className = DEFAULT_ACTIVE_CLASS, ...activeOptions } = current;
+      const href = node.getAttribute("href");
+      const active =
+        typeof href === "string" &&
+        isActive(href, { ...activeOptions, location });
+
+      if (active) node.setAttribute("aria-current", "page");
+      else node.removeAttribute("aria-current");
+      if (className) node.classList.toggle(className, active);
+    };
+
+    const unlisten = router.trackLocation(render);
+
+    return {
+      update(nextOptions = {}) {
+        const { className = DEFAULT_ACTIVE_CLASS } = current;
+        if (className) node.classList.remove(className);
+        current = nextOptions;
+        render(router.history.location);
+      },
+      destroy: unlisten,
+    };
+  }
+
+  return { activeLink, isActive };
+}
+
+/**
+ * Checks if a pathname is a destination pathname, or nested under it.
+ * Trailing slashes are ignored.
+ * @param {string} toPathname - Destination pathname
+ * @param {string} pathname - Compared pathname
+ * @param {boolean} exact - Whether nested pathnames don't count
+ * @returns {boolean} True if the pathnames match
+ * @private
+ */
+function isSamePathname(toPathname, pathname, exact) {
+  const base = toPathname.replace(/\/+$/, "");
+  const path = pathname.replace(/\/+$/, "");
+  return path === base || (!exact && path.startsWith(`${base}/`));
+}
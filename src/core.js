@@ -0,0 +1,55 @@
+/**
+ * @module params-router/core
+ * @description Framework-agnostic core of the router, exposed as the
+ * `params-router/core` entry point. Everything but the Svelte `routable` store,
+ * so the React and Vue bindings (and vanilla JS apps) don't depend on Svelte.
+ * The package entry point re-exports it, sharing the same default router.
+ */
+
+import { delegateHistory } from "./history";
+import { defaultRouter } from "./instance";
+
+export {
+  createBrowserHistory,
+  createHashHistory,
+  createMemoryHistory,
+} from "./history";
+export { RouteError } from "./errors";
+export { getUserConfirmation } from "./guards";
+export { createRouter, createServerRouter } from "./instance";
+export { setArrayFormat, setPattern, setStrict } from "./router";
+
+export const {
+  activeLink,
+  beforeNavigate,
+  breadcrumbs,
+  configureBasename,
+  configureHistory,
+  configureOutlets,
+  configureStorage,
+  createNestedRouter,
+  defineRoutes,
+  enableDebug,
+  enableScrollRestoration,
+  goTo,
+  interceptLinks,
+  isActive,
+  matches,
+  navigate,
+  on,
+  redirect,
+  toOwnParams,
+  toParams,
+  toUrl,
+  trackData,
+  trackLocation,
+  trackParam,
+  trackParams,
+} = defaultRouter;
+
+/**
+ * History of the default router. Delegates to the configured instance,
+ * which is only created when first used.
+ * @type {Object}
+ */
+export const history = delegateHistory(() => defaultRouter.history);
@@ -0,0 +1,280 @@
+/**
+ * @module encoding
+ * @description Query string and hash encoding with configurable array formats.
+ * The "none" format delegates to 'query-string' (repeated keys, flat values).
+ * Other formats support nested objects with bracket keys:
+ * - "bracket": `filter[status][]=open&filter[owner][id]=3`
+ * - "index": `filter[status][0]=open&filter[owner][id]=3`
+ * - "comma": `filter[status]=open,closed&filter[owner][id]=3`, with single-item
+ *   and empty arrays written with a bracket key (`filter[status][]=open`,
+ *   `filter[status][]`) so they are read back as arrays
+ */
+
+import qs from "query-string";
+import { isNil } from "./util";
+
+/** @constant {Array<string>} ARRAY_FORMATS - Supported array formats */
+export const ARRAY_FORMATS = ["none", "bracket", "index", "comma"];
+
+/** @constant {RegExp} KEY_REGEX - Splits a key into its base and bracket segments */
+const KEY_REGEX = /^([^[\]]+)((?:\[[^[\]]*\])*)$/;
+
+/** @constant {RegExp} SEGMENT_REGEX - Matches each bracket segment of a key */
+const SEGMENT_REGEX = /\[([^[\]]*)\]/g;
+
+/** @constant {RegExp} INDEX_REGEX - Matches array index segments */
+const INDEX_REGEX = /^\d+$/;
+
+/** @constant {Array<string>} UNSAFE_SEGMENTS - Key segments ignored to prevent prototype pollution */
+const UNSAFE_SEGMENTS = ["__proto__", "constructor", "prototype"];
+
+/**
+ * Checks that an array format is supported.
+ * @param {string} format - Array format
+ * @returns {string} The same format
+ * @throws {Error} If the format is unknown
+ * @private
+ */
+export function assertArrayFormat(format) {
+  if (!ARRAY_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown array format "${format}". Expected one of: ${ARRAY_FORMATS.join(
+        ", "
+      )}.`
+    );
+  }
+  return format;
+}
+
+/**
+ * Checks if a value is a plain object (not an array, a Date, etc.).
+ * @param {*} x - Value to check
+ * @returns {boolean} True if x is a plain object
+ * @private
+ */
+const isPlainObject = (x) =>
+  Object.prototype.toString.call(x) === "[object Object]";
+
+/**
+ * Decodes a query string component, where "+" stands for a space.
+ * Malformed escapes (e.g. in a hand-edited URL) are kept as written rather
+ * than throwing, like the "none" format does.
+ * @param {string} str - Encoded component
+ * @returns {string} Decoded component, or the component itself if malformed
+ * @private
+ */
+const decode = (str) => {
+  try {
+    return decodeURIComponent(str.replace(/\+/g, " "));
+  } catch (e) {
+    return str;
+  }
+};
+
+/**
+ * Flattens a value to encoded `key=value` pairs.
+ * @param {string} key - Encoded key of the value
+ * @param {*} value - Value to flatten
+ * @param {string} format - Array format
+ * @returns {Array<string>} Encoded pairs
+ * @private
+ */
+function flatten(key, value, format) {
+  if (value === undefined) return [];
+  if (value === null) return [key];
+
+  if (Array.isArray(value)) {
+    const isFlat = !value.some(
+      (item) => isPlainObject(item) || Array.isArray(item)
+    );
+    if (format === "comma" && isFlat) {
+      const items = value.filter((item) => !isNil(item));
+      if (items.length < 1) return [`${key}[]`];
+      if (items.length < 2) return [`${key}[]=${encodeURIComponent(items[0])}`];
+      return [
+        `${key}=${items.map((item) => encodeURIComponent(item)).join(",")}`,
+      ];
+    }
+    return value.flatMap((item, index) =>
+      flatten(
+        format === "bracket" && isFlat ? `${key}[]` : `${key}[${index}]`,
+        item,
+        format
+      )
+    );
+  }
+
+  if (isPlainObject(value)) {
+    return Object.keys(value)
+      .sort()
+      .flatMap((subKey) =>
+        flatten(`${key}[${encodeURIComponent(subKey)}]`, value[subKey], format)
+      );
+  }
+
+  return [`${key}=${encodeURIComponent(value)}`];
+}
+
+/**
+ * Assigns a value deep into an object following bracket key segments.
+ * Empty segments push to an array, numeric segments index an array.
+ * @param {Object|Array} container - Object to assign into
+ * @param {Array<string>} segments - Key segments
+ * @param {*} value - Value to assign
+ * @private
+ */
+function assignDeep(container, [segment, ...rest], value) {
+  const key = segment === "" ? container.length : segment;
+
+  if (rest.length < 1) {
+    const prev = container[key];
+    if (prev === undefined || segment === "") container[key] = value;
+    else container[key] = [].concat(prev, value);
+    return;
+  }
+
+  if (typeof container[key] !== "object" || container[key] === null) {
+    const next = rest[0];
+    container[key] = next === "" || INDEX_REGEX.test(next) ? [] : {};
+  }
+  assignDeep(container[key], rest, value);
+}
+
+/**
+ * Removes holes left in arrays by sparse indices.
+ * @param {*} value - Parsed value
+ * @returns {*} Value with compacted arrays
+ * @private
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.filter((item) => item !== undefined).map(compact);
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, compact(item)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Stringifies params to a query string or hash (without leading ? or #).
+ * Keys are sorted, `undefined` values are skipped and `null` values are
+ * written as a key without value.
+ *
+ * @param {Object} params - Params to stringify
+ * @param {string} [format="none"] - Array format
+ * @returns {string} Encoded string
+ * @private
+ *
+ * @example
+ * stringifyQuery({ filter: { status: ["open", "closed"] } }, "bracket");
+ * // Returns: "filter[status][]=open&filter[status][]=closed"
+ */
+export function stringifyQuery(params, format = "none") {
+  if (format === "none") return qs.stringify(params);
+
+  return Object.keys(params)
+    .sort()
+    .flatMap((key) => flatten(encodeURIComponent(key), params[key], format))
+    .join("&");
+}
+
+/**
+ * Parses a query string or hash to params, with string values.
+ *
+ * @param {string} str - Query or hash string (leading ? or # is ignored)
+ * @param {string} [format="none"] - Array format
+ * @returns {Object} Parsed params
+ * @private
+ *
+ * @example
+ * parseQuery("?filter[status][]=open&filter[owner][id]=3", "bracket");
+ * // Returns: { filter: { status: ["open"], owner: { id: "3" } } }
+ */
+export function parseQuery(str, format = "none") {
+  if (format === "none") return { ...qs.parse(str) };
+
+  const params = {};
+  str
+    .replace(/^[?#&]/, "")
+    .split("&")
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [rawKey, ...rawValues] = pair.split("=");
+      const rawValue = rawValues.join("=");
+      const value =
+        rawValues.length < 1
+          ? null
+          : format === "comma" && rawValue.includes(",")
+          ? rawValue.split(",").map(decode)
+          : decode(rawValue);
+
+      const key = decode(rawKey);
+      const [, base, brackets] = key.match(KEY_REGEX) || [null, key, ""];
+      const segments = Array.from(
+        brackets.matchAll(SEGMENT_REGEX),
+        ([, segment]) => segment
+      );
+      const path = [base, ...segments];
+      if (path.some((segment) => UNSAFE_SEGMENTS.includes(segment))) return;
+
+      /* A bracket key without value is an empty array in the "comma" format */
+      const isEmptyArray =
+        format === "comma" && value === null && path[path.length - 1] === "";
+      if (isEmptyArray) assignDeep(params, path.slice(0, -1), []);
+      else assignDeep(params, path, value);
+    });
+
+  return compact(params);
+}
+
+/**
+ * Sets the value of a single key of a query string, leaving the other pairs
+ * as written, so their array format and encoding are kept. The key stays in
+ * place when replaced, and is appended otherwise.
+ *
+ * @param {string} str - Query string (leading ? is ignored)
+ * @param {string} key - Key to set
+ * @param {string} [value] - Value of the key, or undefined to remove it
+ * @returns {string} Encoded string, without leading ?
+ * @private
+ *
+ * @example
+ * setQueryValue("?s=open,closed", "panel", "/users/3");
+ * // Returns: "s=open,closed&panel=%2Fusers%2F3"
+ */
+export function setQueryValue(str, key, value) {
+  const pairs = str.replace(/^[?&]/, "").split("&").filter(Boolean);
+  const index = pairs.findIndex((pair) => decode(pair.split("=")[0]) === key);
+  const others = pairs.filter(
+    (pair, i) => i < index || decode(pair.split("=")[0]) !== key
+  );
+  if (value === undefined) return others.join("&");
+
+  const pair = `${encodeURIComponent(key)}=${encodeURIComponent(value)}`;
+  others.splice(index < 0 ? others.length : index, 0, pair);
+  return others.join("&");
+}
+
+/**
+ * Converts numeric and boolean strings to numbers and booleans, deeply.
+ * Mirrors the `parseNumbers` and `parseBooleans` options of 'query-string'.
+ * @param {*} value - Parsed value
+ * @returns {*} Typed value
+ * @private
+ */
+export function autoType(value) {
+  if (Array.isArray(value)) return value.map(autoType);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, autoType(item)])
+    );
+  }
+  if (typeof value !== "string") return value;
+  if (value.trim() !== "" && !Number.isNaN(Number(value))) return Number(value);
+  if (value.toLowerCase() === "true") return true;
+  if (value.toLowerCase() === "false") return false;
+  return value;
+}
@@ -0,0 +1,42 @@
+/**
+ * @module errors
+ * @description Structured routing errors.
+ * Reports missing, invalid and unmatched pathname params with a machine
+ * readable `code`, the pattern involved and the offending keys.
+ */
+
+/**
+ * Error thrown when a pathname can't be built from params or parsed with a pattern.
+ *
+ * Codes:
+ * - "MISSING_PARAM": a required pathname param has no value (`toUrl`, `navigate`)
+ * - "INVALID_PARAM": a pathname param doesn't satisfy its constraint (`toUrl`, `navigate`),
+ *   a param value can't be serialized with its schema type, e.g. an invalid date (`toUrl`, `navigate`),
+ *   or its schema type in strict mode (`toParams`, `toOwnParams`)
+ * - "NO_MATCH": the pathname doesn't match the pattern, in strict mode (`toParams`, `toOwnParams`)
+ *
+ * @example
+ * try {
+ *   toUrl({}, "/users/:id");
+ * } catch (e) {
+ *   if (e instanceof RouteError && e.code === "MISSING_PARAM") {
+ *     console.log(e.keys); // ["id"]
+ *   }
+ * }
+ */
+export class RouteError extends Error {
+  /**
+   * @param {string} code - "MISSING_PARAM", "INVALID_PARAM" or "NO_MATCH"
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {string|Object} [details.pattern] - Pattern involved
+   * @param {Array<string>} [details.keys=[]] - Offending param names
+   */
+  constructor(code, message, { pattern, keys = [] } = {}) {
+    super(message);
+    this.name = "RouteError";
+    this.code = code;
+    this.pattern = pattern;
+    this.keys = keys;
+  }
+}
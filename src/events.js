@@ -0,0 +1,187 @@
+/**
+ * @module events
+ * @description Navigation lifecycle events.
+ * Lets applications observe each transition (where it comes from, where it
+ * goes, what triggered it and how it ended), and logs a readable trace of
+ * them with `enableDebug` when routing misbehaves.
+ */
+
+import { createPath } from "./history";
+import { getPath } from "./router";
+
+/** @constant {Array<string>} EVENT_TYPES - Navigation lifecycle events */
+const EVENT_TYPES = [
+  "navigationStart",
+  "navigationEnd",
+  "navigationError",
+  "blocked",
+  "redirected",
+];
+
+/** @constant {string} LOG_PREFIX - Prefix of the debug trace lines */
+const LOG_PREFIX = "[params-router]";
+
+/**
+ * Creates the event functions bound to a router instance.
+ *
+ * @param {Object} router - Router instance exposing `matches`, `observeHistory`, `routes`
+ *   and `toParamSources`
+ * @returns {{emit: Function, enableDebug: Function, on: Function}}
+ * @private
+ */
+export function createEvents(router) {
+  /** @type {Object<string, Array<Function>>} Registered listeners, by event type */
+  const listeners = Object.fromEntries(EVENT_TYPES.map((type) => [type, []]));
+
+  /** @type {Function|null} Removes the history listener of transitions not made by `navigate`, when installed */
+  let unobserve = null;
+
+  /**
+   * Notifies the listeners of an event. The event object is only created
+   * when the event is listened to, since parsing params isn't free.
+   * @param {string} type - Event type
+   * @param {Function} createEvent - Returns the event properties
+   * @private
+   */
+  function emit(type, createEvent) {
+    if (listeners[type].length < 1) return;
+
+    const event = { type, ...createEvent() };
+    listeners[type].slice().forEach((fn) => fn(event));
+  }
+
+  /**
+   * Subscribes to a navigation lifecycle event:
+   * - `navigationStart`: a navigation begins, before guards run
+   * - `navigationEnd`: the history changed, once redirects are resolved
+   * - `navigationError`: a navigation threw (e.g. a missing param, a redirect loop or a rejected guard)
+   * - `blocked`: a guard cancelled the navigation
+   * - `redirected`: a declared redirect or a guard sent the navigation elsewhere
+   *
+   * Listeners receive `{ type, action, trigger, from, to, pattern, params }`:
+   * the history action ("PUSH", "REPLACE" or "POP"), what triggered the
+   * navigation ("navigate", "goTo", "routable.goTo", "POP" or "history" for
+   * direct history writes), the locations before and after it, the pattern
+   * of the navigation and the destination params parsed with it.
+   * `navigationError` events also have the `error`, and `redirected` events the
+   * `redirectedFrom` location and the `source` of the redirect ("redirect" or "guard").
+   *
+   * @param {string} type - Event type
+   * @param {Function} fn - Listener receiving the event
+   * @returns {Function} Function removing the listener
+   * @throws {Error} If the event type is unknown
+   *
+   * @example
+   * const off = on("navigationEnd", ({ to, trigger }) => {
+   *   analytics.page(to.pathname, { trigger });
+   * });
+   */
+  function on(type, fn) {
+    if (!listeners[type]) {
+      throw new Error(
+        `Unknown router event "${type}". Expected one of: ${EVENT_TYPES.join(
+          ", "
+        )}.`
+      );
+    }
+    listeners[type].push(fn);
+    if (!unobserve) unobserve = router.observeHistory();
+
+    return () => {
+      const index = listeners[type].indexOf(fn);
+      if (index >= 0) listeners[type].splice(index, 1);
+      const listening = EVENT_TYPES.some((key) => listeners[key].length > 0);
+      if (!listening && unobserve) {
+        unobserve();
+        unobserve = null;
+      }
+    };
+  }
+
+  /**
+   * Describes how a location is parsed: the pattern matching it (the pattern
+   * of the navigation, or the matching route of `defineRoutes`), and its params
+   * by source.
+   * @param {Object} location - Parsed location
+   * @param {string|Object} [pattern] - Pattern of the navigation
+   * @returns {{route: string|undefined, pattern: string|undefined, matched: boolean,
+   *   params: Object|undefined}} Parsing details
+   * @private
+   */
+  function describe(location, pattern) {
+    const route =
+      !pattern && router.routes
+        ? router.routes.match(location).name
+        : undefined;
+    const routePattern = route ? router.routes.get(route) : pattern;
+    const matched = !routePattern || router.matches(location, routePattern);
+
+    return {
+      route,
+      pattern: routePattern ? getPath(routePattern) : undefined,
+      matched,
+      params: matched
+        ? router.toParamSources(location, routePattern)
+        : undefined,
+    };
+  }
+
+  /**
+   * Gets the details logged with the trace line of an event.
+   * @param {Object} event - Lifecycle event
+   * @returns {Object} Event details
+   * @private
+   */
+  function toDetails(event) {
+    const { type, to, pattern } = event;
+    if (type === "navigationError") return { error: event.error };
+    if (type === "redirected") {
+      return {
+        source: event.source,
+        redirectedFrom: createPath(event.redirectedFrom),
+      };
+    }
+    if (type === "blocked") return {};
+    return describe(to, pattern);
+  }
+
+  /**
+   * Logs a readable trace of each navigation: its lifecycle events, the
+   * pattern matching the destination, and how its params are split across
+   * pathname, query, hash and state. Meant for development only.
+   *
+   * @param {Object} options
+   * @param {Function} options.log - Receives each trace line and its details (e.g. `console.log`)
+   * @returns {Function} Function disabling the trace
+   * @throws {Error} If `log` isn't a function
+   *
+   * @example
+   * if (import.meta.env.DEV) enableDebug({ log: console.log });
+   * // [params-router] navigationStart PUSH (goTo) /users -> /users/3?tab=bio
+   * // [params-router] navigationEnd PUSH (goTo) /users -> /users/3?tab=bio
+   * //   { route: "userDetail", pattern: "/users/:id", matched: true,
+   * //     params: { pathname: { id: 3 }, query: { tab: "bio" }, hash: {}, state: {} } }
+   */
+  function enableDebug({ log } = {}) {
+    if (typeof log !== "function") {
+      throw new Error("enableDebug requires a `log` function option.");
+    }
+
+    const offs = EVENT_TYPES.map((type) =>
+      on(type, (event) => {
+        const { action, trigger, from, to } = event;
+        const path = `${from ? createPath(from) : "?"} -> ${
+          to ? createPath(to) : "?"
+        }`;
+        log(
+          `${LOG_PREFIX} ${type} ${action} (${trigger}) ${path}`,
+          toDetails(event)
+        );
+      })
+    );
+
+    return () => offs.forEach((off) => off());
+  }
+
+  return { emit, enableDebug, on };
+}
@@ -0,0 +1,103 @@
+/**
+ * @module guards
+ * @description Navigation guard utilities.
+ * Runs `beforeNavigate` guards in sequence, synchronously when possible, and
+ * bridges asynchronous guards to the history `block` prompt mechanism.
+ */
+
+/** @constant {string} PENDING_PREFIX - Prefix of prompt messages standing for a pending async guard */
+const PENDING_PREFIX = "params-router:pending:";
+
+/**
+ * Pending async guard results keyed by prompt message.
+ * @type {Map<string, Promise<boolean>>}
+ * @private
+ */
+const pendingConfirmations = new Map();
+
+/** @type {number} Counter used to create unique prompt messages */
+let pendingCount = 0;
+
+/**
+ * Checks if a value is a Promise-like object.
+ * @param {*} x - Value to check
+ * @returns {boolean} True if x has a `then` method
+ * @private
+ */
+export const isThenable = (x) => !!x && typeof x.then === "function";
+
+/**
+ * Checks if a guard result allows the transition.
+ * @param {*} result - Guard result
+ * @returns {boolean} True if result is `undefined` or `true`
+ * @private
+ */
+const isAllowed = (result) => result === undefined || result === true;
+
+/**
+ * Runs guards in order until one of them doesn't allow the transition.
+ * Guards returning `undefined` or `true` allow it. Stays synchronous until
+ * a guard returns a Promise.
+ *
+ * @param {Array<Function>} guards - Guard functions
+ * @param {Object} context - Transition context passed to each guard
+ * @param {number} [index=0] - Index of the first guard to run
+ * @returns {boolean|string|Object|Function|Promise} `true` if allowed, `false` if cancelled,
+ *   a redirect destination otherwise, or a Promise resolving to one of these
+ * @private
+ */
+export function runGuards(guards, context, index = 0) {
+  for (let i = index; i < guards.length; i += 1) {
+    const result = guards[i](context);
+
+    if (isThenable(result)) {
+      return result.then((resolved) =>
+        isAllowed(resolved) ? runGuards(guards, context, i + 1) : resolved
+      );
+    }
+    if (!isAllowed(result)) return result;
+  }
+  return true;
+}
+
+/**
+ * Registers a pending confirmation and returns the prompt message standing for it.
+ * The history resolves the message through `getUserConfirmation`.
+ *
+ * @param {Promise<boolean>} promise - Resolves to true if the transition is allowed
+ * @returns {string} Prompt message
+ * @private
+ */
+export function deferConfirmation(promise) {
+  pendingCount += 1;
+  const message = `${PENDING_PREFIX}${pendingCount}`;
+  pendingConfirmations.set(message, promise);
+  return message;
+}
+
+/**
+ * `getUserConfirmation` implementation for history instances, allowing
+ * asynchronous navigation guards to confirm POP transitions (back/forward).
+ * Other prompt messages are confirmed with `window.confirm` when available.
+ *
+ * Histories created by the router use it automatically. Pass it to injected
+ * histories to support async guards on POP.
+ *
+ * @param {string} message - Prompt message
+ * @param {Function} callback - Receives true if the transition is allowed
+ *
+ * @example
+ * const history = createBrowserHistory({ getUserConfirmation });
+ * const router = createRouter({ history });
+ */
+export function getUserConfirmation(message, callback) {
+  const pending = pendingConfirmations.get(message);
+  if (pending) {
+    pendingConfirmations.delete(message);
+    pending.then(callback, () => callback(false));
+    return;
+  }
+
+  const hasConfirm = typeof window !== "undefined" && window.confirm;
+  callback(hasConfirm ? window.confirm(message) : true);
+}
@@ -1,14 +1,86 @@
 /**
  * @module history
- * @description Browser history instance for managing navigation state.
- * Uses the 'history' library to create a BrowserHistory instance that tracks
- * location changes in the browser.
+ * @description History backends for managing navigation state.
+ * Resolves history options (browser, hash, memory or an injected instance)
+ * to a 'history' library instance. Nothing is created at import time, so the
+ * router can be loaded outside of a browser.
  */
 
-import { createBrowserHistory } from "history";
+import {
+  createBrowserHistory,
+  createHashHistory,
+  createLocation,
+  createMemoryHistory,
+  createPath,
+} from "history";
 
 /**
- * Browser history instance for managing client-side navigation.
- * @type {BrowserHistory}
+ * History factories keyed by their shorthand name.
+ * @type {Object<string, Function>}
+ * @private
  */
-export const history = createBrowserHistory();
+const HISTORY_FACTORIES = {
+  browser: createBrowserHistory,
+  hash: createHashHistory,
+  memory: createMemoryHistory,
+};
+
+/**
+ * Resolves a history option to a history instance.
+ *
+ * @param {string|Object} [historyOrType="browser"] - Either:
+ *   - String: one of "browser", "hash" or "memory"
+ *   - Object: a history instance (e.g. from `createMemoryHistory()`)
+ * @param {Object} [options] - Options passed to the history factory when
+ *   `historyOrType` is a string (e.g. `{ getUserConfirmation }`)
+ * @returns {Object} History instance
+ * @throws {Error} If the history type is unknown
+ * @private
+ *
+ * @example
+ * resolveHistory("memory"); // Returns a new MemoryHistory
+ * resolveHistory(createHashHistory()); // Returns the given instance
+ */
+export function resolveHistory(historyOrType = "browser", options) {
+  if (typeof historyOrType !== "string") return historyOrType;
+
+  const createHistory = HISTORY_FACTORIES[historyOrType];
+  if (!createHistory) {
+    throw new Error(
+      `Unknown history type "${historyOrType}". Expected one of: ${Object.keys(
+        HISTORY_FACTORIES
+      ).join(", ")}.`
+    );
+  }
+  return createHistory(options);
+}
+
+/**
+ * Creates an object that delegates every property access to the history
+ * instance returned by `getHistory`. Allows exporting a stable `history`
+ * reference while the underlying instance is created lazily or swapped.
+ *
+ * @param {Function} getHistory - Returns the current history instance
+ * @returns {Object} History-like delegate
+ * @private
+ */
+export function delegateHistory(getHistory) {
+  return new Proxy(
+    {},
+    {
+      get(_, key) {
+        const history = getHistory();
+        const value = history[key];
+        return typeof value === "function" ? value.bind(history) : value;
+      },
+    }
+  );
+}
+
+export {
+  createBrowserHistory,
+  createHashHistory,
+  createLocation,
+  createMemoryHistory,
+  createPath,
+};
@@ -3,11 +3,42 @@
  * @description Client-side SPA router that converts URL to and from params.
  * This module provides utilities for managing URL patterns, parsing parameters,
  * and navigating within single-page applications with URL state synchronization.
+ * Re-exports the `params-router/core` entry point, adding the Svelte `routable`
+ * store to its default router and to the routers it creates.
  */
 
-export { trackLocation, trackParams } from "./listening";
-export { goTo, navigate } from "./navigation";
-export { toOwnParams, toParams, toUrl } from "./parsing";
-export { setPattern } from "./router";
-export { history } from "./history";
-export { routable } from "./routable";
+import * as core from "params-router/core";
+import { createRoutable } from "./routable";
+
+export * from "params-router/core";
+export { provideRouter } from "./routable";
+
+/**
+ * Adds the `routable` store factory to a router of the core entry point.
+ * @param {Object} router - Router instance
+ * @returns {Object} Same router, exposing `routable`
+ * @private
+ */
+const withRoutable = (router) => Object.assign(router, createRoutable(router));
+
+/**
+ * Creates a router bound to its own history instance, exposing the
+ * `routable` store factory (see `createRouter` of `params-router/core`).
+ * @param {Object} [options] - Router options
+ * @returns {Object} Router
+ */
+export const createRouter = (options) =>
+  withRoutable(core.createRouter(options));
+
+/**
+ * Creates a router for a single server request, exposing the `routable`
+ * store factory (see `createServerRouter` of `params-router/core`).
+ * @param {string} url - Request URL, absolute or relative (e.g. `req.url`)
+ * @param {Object} [options] - Other `createRouter` options
+ * @returns {Object} Router
+ */
+export const createServerRouter = (url, options) =>
+  withRoutable(core.createServerRouter(url, options));
+
+/** `routable` store factory of the default router. */
+export const { routable } = createRoutable(core);
@@ -0,0 +1,221 @@
+/**
+ * @module instance
+ * @description Router instance factory.
+ * Binds the parsing, navigation and listening functions to a single
+ * history instance, so several independent routers can coexist (e.g. a memory
+ * router for an embedded widget next to the browser router of the host page).
+ */
+
+import { createActive } from "./active";
+import { createEvents } from "./events";
+import { getUserConfirmation } from "./guards";
+import { createMemoryHistory, createPath, resolveHistory } from "./history";
+import { createListening } from "./listening";
+import { createLoading } from "./loading";
+import { createNavigation } from "./navigation";
+import { createNesting } from "./nesting";
+import { createParsing, normalizeBasename, toLocation } from "./parsing";
+import { createPersistence } from "./persistence";
+import { createRedirects } from "./redirects";
+import { createRoutes } from "./routes";
+import { createScrolling } from "./scrolling";
+
+/**
+ * Creates a router bound to its own history instance.
+ * The history is resolved lazily on first access, so creating a router never
+ * touches `window` by itself.
+ *
+ * @param {Object} [options]
+ * @param {string|Object} [options.history="browser"] - History to use:
+ *   - String: one of "browser", "hash" or "memory"
+ *   - Object: a history instance (e.g. from `createMemoryHistory()`)
+ * @param {string} [options.basename=""] - Path prefix the app is served under, either
+ *   static ("/app") or a pattern ("/:tenant/app") whose params are exposed in params
+ * @param {Object} [options.storage] - Storages of persisted params `{ local, session }`,
+ *   the browser's `localStorage` and `sessionStorage` by default
+ * @param {Array<string>} [options.outlets=[]] - Query keys of the named outlets, hidden from
+ *   main params and kept by main navigations
+ * @returns {Object} Router exposing `history`, `configureHistory`, `basename`,
+ *   `configureBasename`, `storage`, `configureStorage`, `outlets`, `configureOutlets`, `toOwnParams`, `toParams`, `matches`, `toUrl`, `navigate`, `goTo`,
+ *   `interceptLinks`, `isActive`, `activeLink`, `trackLocation`, `trackParams`, `trackParam`, `trackData`,
+ *   `createNestedRouter`, `breadcrumbs`, `defineRoutes`, `beforeNavigate`, `redirect`,
+ *   `enableScrollRestoration`, `on` and `enableDebug`
+ *
+ * @example
+ * const router = createRouter({ history: "memory" });
+ * router.navigate({ id: 3 }, "/users/:id");
+ * router.toParams(null, "/users/:id"); // Returns { id: "3" }
+ *
+ * @example
+ * // Electron `file://` app
+ * const router = createRouter({ history: createHashHistory() });
+ *
+ * @example
+ * // App served under /acme/app/ and /globex/app/
+ * const router = createRouter({ basename: "/:tenant/app" });
+ * router.toUrl({ id: 3 }, "/users/:id"); // Returns "/acme/app/users/3" on /acme/app/
+ */
+export function createRouter({
+  history: historyOption = "browser",
+  basename = "",
+  storage = null,
+  outlets = [],
+} = {}) {
+  let history = null;
+
+  const router = {
+    /**
+     * History instance used by this router, created on first access.
+     * @type {Object}
+     */
+    get history() {
+      if (!history) {
+        history = resolveHistory(historyOption, { getUserConfirmation });
+        router.watchPersisted(history);
+      }
+      return history;
+    },
+
+    /**
+     * Replaces the history used by this router.
+     * Should be called before any subscription is made, since existing
+     * listeners stay attached to the previous history.
+     *
+     * @param {string|Object} historyOrType - "browser", "hash", "memory" or a history instance
+     *
+     * @example
+     * configureHistory("memory");
+     */
+    configureHistory(historyOrType) {
+      historyOption = historyOrType;
+      history = null;
+    },
+
+    /**
+     * Path prefix the app is served under, stripped before matching patterns
+     * and added to the URLs of params objects.
+     * @type {string}
+     */
+    basename: normalizeBasename(basename),
+
+    /**
+     * Sets the path prefix the app is served under.
+     * Params of a pattern-based basename are exposed in params, and kept from
+     * the current location when navigating.
+     *
+     * @param {string} [basename=""] - Static ("/app") or pattern-based ("/:tenant/app") prefix
+     *
+     * @example
+     * configureBasename("/:tenant/app");
+     */
+    configureBasename(basename) {
+      router.basename = normalizeBasename(basename);
+    },
+
+    /**
+     * Storages of the params persisted with the `persist` schema key, by
+     * storage name. Missing storages default to the browser's ones.
+     * @type {{local: Storage, session: Storage}|null}
+     */
+    storage,
+
+    /**
+     * Sets the storages of the params persisted with the `persist` schema key,
+     * e.g. in-memory stand-ins in tests. Any object with `getItem` and `setItem`
+     * methods can be used.
+     *
+     * @param {{local: Storage, session: Storage}|null} storage - Storages by name,
+     *   or null to use the browser's ones
+     *
+     * @example
+     * const values = new Map();
+     * configureStorage({
+     *   local: {
+     *     getItem: (key) => (values.has(key) ? values.get(key) : null),
+     *     setItem: (key, value) => values.set(key, value),
+     *   },
+     * });
+     */
+    configureStorage(storage) {
+      router.storage = storage;
+    },
+
+    /**
+     * Query keys of the named outlets, hidden from main params and kept by
+     * main navigations.
+     * @type {Array<string>}
+     */
+    outlets,
+
+    /**
+     * Declares the query keys of the named outlets. Outlet patterns are matched
+     * against the sub-path of their key either way, but only declared outlets
+     * are hidden from main params and kept by main navigations.
+     *
+     * @param {Array<string>} [outlets=[]] - Outlet query keys
+     *
+     * @example
+     * configureOutlets(["panel", "modal"]);
+     */
+    configureOutlets(outlets = []) {
+      router.outlets = outlets;
+    },
+
+    /**
+     * Route table registered with `defineRoutes`, if any.
+     * @type {Object|null}
+     */
+    routes: null,
+  };
+
+  Object.assign(router, createEvents(router));
+  Object.assign(router, createPersistence(router));
+  Object.assign(router, createParsing(router));
+  Object.assign(router, createRedirects(router));
+  Object.assign(router, createScrolling(router));
+  Object.assign(router, createNavigation(router));
+  Object.assign(router, createListening(router));
+  Object.assign(router, createActive(router));
+  Object.assign(router, createLoading(router));
+  Object.assign(router, createNesting(router));
+  Object.assign(router, createRoutes(router));
+
+  return router;
+}
+
+/**
+ * Creates a router for a single server request, bound to a memory history
+ * starting at the request URL. Each request gets its own router, so
+ * concurrent requests never share location state.
+ *
+ * Pass it to the framework bindings (`provideRouter` in Svelte, `RouterProvider`
+ * in React, the plugin `router` option in Vue) for `routable` stores and hooks
+ * to render the request location. On the client, the default browser router
+ * reads the same URL, so hydration starts from the same location.
+ *
+ * @param {string} url - Request URL, absolute or relative (e.g. `req.url`)
+ * @param {Object} [options] - Other `createRouter` options, such as `basename`
+ * @returns {Object} Router
+ *
+ * @example
+ * app.get("*", (req, res) => {
+ *   const router = createServerRouter(req.url);
+ *   const params = router.toParams(null, "/users/:id");
+ *   res.send(render(App, { props: { router } }).body);
+ * });
+ */
+export function createServerRouter(url, options = {}) {
+  const { pathname, search, hash } = toLocation(url);
+  const initialEntries = [createPath({ pathname, search, hash })];
+  return createRouter({
+    ...options,
+    history: createMemoryHistory({ initialEntries }),
+  });
+}
+
+/**
+ * Router used by the functions exported from the package entry point.
+ * Uses browser history unless configured otherwise with `configureHistory`.
+ * @type {Object}
+ */
+export const defaultRouter = createRouter();
@@ -4,65 +4,138 @@
  * Provides subscription mechanisms to listen for navigation changes.
  */
 
-import { history } from "./history";
-import { toParams } from "./parsing";
+import { isEqual } from "./util";
 
 /**
- * Subscribes to location changes in the browser history.
- * The callback function is invoked immediately with the current location,
- * then again each time the location changes.
- *
- * @param {Function} fn - Callback function that receives a Location object.
- *   The Location object contains: { pathname, search, hash, state, key }
- * @returns {Function} Unsubscribe function that stops listening to changes
- *
- * @example
- * const unsubscribe = trackLocation((location) => {
- *   console.log("Navigated to:", location.pathname);
- * });
- *
- * // Later, stop listening
- * unsubscribe();
+ * Lists the keys whose values differ between two params objects.
+ * @param {Array<string>} keys - Keys to compare
+ * @param {Object} next - New params
+ * @param {Object} prev - Previous params
+ * @param {Function} equals - Value comparator
+ * @returns {Array<string>} Changed keys
+ * @private
  */
-export function trackLocation(fn) {
-  /* Run the function once */
-  fn(history.location);
-
-  const unlisten = history.listen(fn);
-  return unlisten;
-}
+const diffKeys = (keys, next, prev, equals) =>
+  keys.filter((key) => !equals(next[key], prev[key]));
 
 /**
- * Subscribes to parameter changes in the browser history.
- * The callback function is invoked immediately with the current parameters,
- * then again each time any parameters change (pathname, query, hash, or state).
- *
- * Parameters are extracted from all sources (pathname, search, hash, state)
- * and merged into a single object according to the specified pattern.
- *
- * @param {Function} fn - Callback function that receives a parameters object
- * @param {string} [pattern] - URL pattern for extracting pathname parameters (e.g., "/users/:id")
- * @returns {Function} Unsubscribe function that stops listening to changes
+ * Creates the listening functions bound to a router instance.
+ * Subscriptions are registered on `router.history`, and only notified once
+ * redirects are resolved.
  *
- * @example
- * const unsubscribe = trackParams((params) => {
- *   console.log("Current params:", params);
- * }, "/users/:id");
- * // Later, stop listening
- * unsubscribe();
- *
- * @example
- * // URL: /users/123?tab=profile#comment=42 *
- * // Pattern: /users/:id *
- * // Callback receives: { id: "123", tab: "profile", comment: "42" }
+ * @param {Object} router - Router instance exposing `history`, `toParams`,
+ *   `applyRedirect` and `listen`
+ * @returns {{trackLocation: Function, trackParam: Function, trackParams: Function}}
+ * @private
  */
+export function createListening(router) {
+  /**
+   * Subscribes to location changes in the router history.
+   * The callback function is invoked immediately with the current location,
+   * then again each time the location changes.
+   *
+   * @param {Function} fn - Callback function that receives a Location object.
+   *   The Location object contains: { pathname, search, hash, state, key }
+   * @returns {Function} Unsubscribe function that stops listening to changes
+   *
+   * @example
+   * const unsubscribe = trackLocation((location) => {
+   *   console.log("Navigated to:", location.pathname);
+   * });
+   *
+   * // Later, stop listening
+   * unsubscribe();
+   */
+  function trackLocation(fn) {
+    /* Run the function once */
+    router.applyRedirect();
+    fn(router.history.location);
+
+    const unlisten = router.listen(fn);
+    return unlisten;
+  }
+
+  /**
+   * Subscribes to parameter changes in the router history.
+   * The callback function is invoked immediately with the current parameters,
+   * then again each time any parameters change (pathname, query, hash, or state).
+   * History events that leave the (selected) params unchanged are skipped.
+   *
+   * Parameters are extracted from all sources (pathname, search, hash, state)
+   * and merged into a single object according to the specified pattern.
+   *
+   * @param {Function} fn - Callback function that receives `(next, prev, changedKeys)`:
+   *   the current params, the previous params (undefined on the first call)
+   *   and the keys whose values changed
+   * @param {string|Object} [pattern] - URL pattern for extracting pathname parameters (e.g., "/users/:id")
+   * @param {Object} [options]
+   * @param {Array<string>} [options.keys] - Only call `fn` when one of these keys changes (all keys by default)
+   * @param {Function} [options.equals=isEqual] - Compares a previous and a next value,
+   *   structurally by default (dates by time, arrays and objects recursively)
+   * @returns {Function} Unsubscribe function that stops listening to changes
+   *
+   * @example
+   * const unsubscribe = trackParams((params) => {
+   *   console.log("Current params:", params);
+   * }, "/users/:id");
+   * // Later, stop listening
+   * unsubscribe();
+   *
+   * @example
+   * // URL: /users/123?tab=profile#comment=42 *
+   * // Pattern: /users/:id *
+   * // Callback receives: { id: "123", tab: "profile", comment: "42" }
+   *
+   * @example
+   * // Only re-render when `page` or `sort` change, not on `?tooltip=` changes
+   * trackParams((next, prev, changedKeys) => render(next), "/users", {
+   *   keys: ["page", "sort"],
+   * });
+   */
+  function trackParams(fn, pattern, { keys, equals = isEqual } = {}) {
+    /* Run the function once */
+    router.applyRedirect();
+    let prev = router.toParams(null, pattern);
+    fn(prev, undefined, keys || Object.keys(prev));
+
+    const unlisten = router.listen((location) => {
+      const params = router.toParams(location, pattern);
+      const compared =
+        keys ||
+        Array.from(new Set([...Object.keys(prev), ...Object.keys(params)]));
+      const changedKeys = diffKeys(compared, params, prev, equals);
+      if (changedKeys.length < 1) return;
+
+      const prevParams = prev;
+      prev = params;
+      fn(params, prevParams, changedKeys);
+    });
+    return unlisten;
+  }
+
+  /**
+   * Subscribes to a single parameter. The callback function is invoked
+   * immediately with the current value, then again each time it changes.
+   *
+   * @param {string} key - Parameter name
+   * @param {Function} fn - Callback function that receives `(next, prev)` values
+   * @param {string|Object} [pattern] - URL pattern for extracting pathname parameters
+   * @param {Object} [options]
+   * @param {Function} [options.equals=isEqual] - Compares a previous and a next value
+   * @returns {Function} Unsubscribe function that stops listening to changes
+   *
+   * @example
+   * const unsubscribe = trackParam("page", (page, prevPage) => {
+   *   loadPage(page);
+   * });
+   */
+  function trackParam(key, fn, pattern, options) {
+    return trackParams(
+      (next, prev) => fn(next[key], prev && prev[key]),
+      pattern,
+      { ...options, keys: [key] }
+    );
+  }
 
-export function trackParams(fn, pattern) {
-  /* Run the function once */
-  fn(toParams(null, pattern));
-  const unlisten = history.listen((location) => {
-    const params = toParams(location, pattern);
-    fn(params);
-  });
-  return unlisten;
+  return { trackLocation, trackParam, trackParams };
 }
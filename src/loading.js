@@ -0,0 +1,130 @@
+/**
+ * @module loading
+ * @description Async route data loaders.
+ * Runs the `load` function of a pattern each time its params change, aborting
+ * the loader of a superseded navigation, and reports its progress as
+ * `{ status, data, error }` states.
+ */
+
+/**
+ * Initial state of a loader, before its first run.
+ * @type {{status: string, data: *, error: *}}
+ * @private
+ */
+const IDLE_STATE = { status: "idle", data: undefined, error: undefined };
+
+/**
+ * Creates a runner calling a loader and emitting its state.
+ * Each run aborts the previous one through its `AbortSignal`, and results of
+ * aborted runs are ignored, so stale responses never overwrite fresh ones.
+ * `data` keeps the previous value while loading.
+ *
+ * @param {Function} load - Loader receiving `{ params, location, signal }`, returning data or a Promise
+ * @param {Function} emit - Receives each new `{ status, data, error }` state
+ * @returns {{run: Function, abort: Function, state: Object}} Runner
+ * @private
+ */
+export function createLoadRunner(load, emit) {
+  let controller = null;
+  let state = IDLE_STATE;
+
+  const setState = (nextState) => {
+    state = { ...state, ...nextState };
+    emit(state);
+  };
+
+  return {
+    /**
+     * Current state of the loader.
+     * @type {{status: string, data: *, error: *}}
+     */
+    get state() {
+      return state;
+    },
+
+    /**
+     * Aborts the current run, if any, then runs the loader.
+     * @param {Object} params - Params passed to the loader
+     * @param {Object} location - Location passed to the loader
+     */
+    run(params, location) {
+      if (controller) controller.abort();
+      const current = new AbortController();
+      controller = current;
+
+      setState({ status: "loading", error: undefined });
+      new Promise((resolve) =>
+        resolve(load({ params, location, signal: current.signal }))
+      ).then(
+        (data) => {
+          if (!current.signal.aborted) setState({ status: "ready", data });
+        },
+        (error) => {
+          if (!current.signal.aborted) setState({ status: "error", error });
+        }
+      );
+    },
+
+    /** Aborts the current run, if any. */
+    abort() {
+      if (controller) controller.abort();
+      controller = null;
+    },
+  };
+}
+
+/**
+ * Creates the loading functions bound to a router instance.
+ *
+ * @param {Object} router - Router instance exposing `history` and `trackParams`
+ * @returns {{trackData: Function}}
+ * @private
+ */
+export function createLoading(router) {
+  /**
+   * Runs the loader of a pattern each time its params change, and subscribes
+   * to its state. The callback is invoked immediately with the "loading"
+   * state, then on each state change.
+   *
+   * @param {Function} fn - Receives `{ status, data, error, params }`, where
+   *   `status` is "loading", "ready" or "error"
+   * @param {Object} pattern - Pattern object with a `load` function receiving
+   *   `{ params, location, signal }` and returning data or a Promise
+   * @param {Object} [options] - `trackParams` options (`keys`, `equals`)
+   *   selecting which params changes run the loader
+   * @returns {Function} Unsubscribe function, aborting the pending loader
+   *
+   * @example
+   * const userPattern = {
+   *   path: "/users/:id",
+   *   load: ({ params, signal }) =>
+   *     fetch(`/api/users/${params.id}`, { signal }).then((res) => res.json()),
+   * };
+   *
+   * const unsubscribe = trackData(({ status, data, error }) => {
+   *   if (status === "ready") renderUser(data);
+   * }, userPattern, { keys: ["id"] });
+   */
+  function trackData(fn, pattern, options) {
+    let params = {};
+    const runner = createLoadRunner(pattern.load, (state) =>
+      fn({ ...state, params })
+    );
+
+    const untrack = router.trackParams(
+      (next) => {
+        params = next;
+        runner.run(next, router.history.location);
+      },
+      pattern,
+      options
+    );
+
+    return () => {
+      untrack();
+      runner.abort();
+    };
+  }
+
+  return { trackData };
+}
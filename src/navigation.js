@@ -5,86 +5,824 @@
  * anchor click events for client-side routing.
  */
 
-import { history } from "./history";
-import { toUrl } from "./parsing";
+import { RouteError } from "./errors";
+import { deferConfirmation, isThenable, runGuards } from "./guards";
+import { createLocation } from "./history";
+import { MAX_REDIRECTS } from "./redirects";
+import { isNavigationClick } from "./util";
 
 /**
- * Navigates to a destination URL or parameter object.
- * Converts the destination to a URL string and updates the browser history
- * using either push (default) or replace mode.
+ * Creates the navigation functions bound to a router instance.
+ * Destinations are resolved with `router.toDestination` and written to `router.history`,
+ * once allowed by the `beforeNavigate` guards.
  *
- * @param {string|Function|Object} [to=""] - Destination specification:
- *   - String: URL to navigate to
- *   - Object: parameters to convert to URL
- *   - Function: receives current params, returns updated params
- * @param {string|Object} [patternOrOptions] - Either:
- *   - String: URL pattern for parameter extraction (e.g., "/users/:id")
- *   - Object: options object with optional `pattern` and `replace` properties
- * @param {boolean} [replace=false] - If true, replaces current history entry instead of pushing
- *
- * @example
- * navigate("/users/123");
- * navigate({ id: 123, tab: "profile" }, "/users/:id");
- * navigate(params => ({ ...params, sort: "asc" }), { pattern: "/users/:id", replace: true });
+ * @param {Object} router - Router instance exposing `history`, `toParams`,
+ *   `toDestination`, `resolveRedirect`, `isRedirecting`, `withScroll` and `emit`
+ * @returns {{beforeNavigate: Function, goTo: Function, interceptLinks: Function,
+ *   navigate: Function, observeHistory: Function}}
+ * @private
  */
-export function navigate(to = "", patternOrOptions, replace = false) {
-  let pattern = patternOrOptions;
-  let _replace = replace;
-
-  /* Second argument might be the `pattern` (for consistency with `toUrl` and `toParams`),
-   * or an options object containing `{ pattern, replace }`. */
-  if (typeof patternOrOptions === "object") {
-    pattern = patternOrOptions.pattern;
-    _replace = patternOrOptions.replace;
+export function createNavigation(router) {
+  /** @type {Array<Function>} Registered navigation guards, in registration order */
+  const guards = [];
+
+  /** @type {Function|null} Removes the history block and unload listener, when installed */
+  let unblock = null;
+
+  /** @type {boolean} Whether the current history transition was already guarded by `navigate` */
+  let guarded = false;
+
+  /** @type {boolean} Whether `navigate` is writing to the history */
+  let writing = false;
+
+  /** @type {Object|null} Event context of a transition not made by `navigate`, once allowed by the guards */
+  let external = null;
+
+  /** @type {Array<Object>|null} Navigations collected by the running `navigate.batch`, if any */
+  let batched = null;
+
+  /**
+   * Debounced navigations waiting to be written, if any.
+   * @type {{steps: Array<Object>, timer: *, leading: boolean, promise: Promise<boolean>,
+   *   resolve: Function}|null}
+   */
+  let pending = null;
+
+  /**
+   * Creates the context passed to guards.
+   * @param {Object|null} to - Destination location, or null when unloading the page
+   * @param {string|Object} [pattern] - URL pattern used to parse params
+   * @param {string} action - "PUSH", "REPLACE", "POP" or "UNLOAD"
+   * @returns {{action: string, from: Object, to: Object|null, fromParams: Object, toParams: Object}}
+   * @private
+   */
+  const toContext = (to, pattern, action) => {
+    const from = router.history.location;
+    return {
+      action,
+      from,
+      to,
+      fromParams: router.toParams(from, pattern),
+      toParams: to ? router.toParams(to, pattern) : {},
+    };
+  };
+
+  /**
+   * Parses the params of an event location, without throwing in strict mode.
+   * @param {Object|null} location - Event location
+   * @param {string|Object} [pattern] - URL pattern of the navigation
+   * @returns {Object} Params, or an empty object if the location doesn't match the pattern
+   * @private
+   */
+  const parseEventParams = (location, pattern) => {
+    if (!location) return {};
+    try {
+      return router.toParams(location, pattern);
+    } catch (e) {
+      if (e instanceof RouteError) return {};
+      throw e;
+    }
+  };
+
+  /**
+   * Creates a lifecycle event (see `on`).
+   * @param {{action: string, trigger: string, from: Object, pattern: *}} context - Transition context
+   * @param {Object|null} to - Destination location
+   * @param {Object} [details] - Other properties of the event
+   * @returns {Object} Event properties
+   * @private
+   */
+  const toEvent = ({ action, trigger, from, pattern }, to, details) => ({
+    action,
+    trigger,
+    from,
+    to,
+    pattern,
+    params: parseEventParams(to, pattern),
+    ...details,
+  });
+
+  /**
+   * Creates the event context of a transition not made by `navigate`.
+   * @param {string} action - History action
+   * @param {Object} from - Location before the transition
+   * @returns {{action: string, trigger: string, from: Object, pattern: undefined}} Transition context
+   * @private
+   */
+  const toExternalContext = (action, from) => ({
+    action,
+    trigger: action === "POP" ? "POP" : "history",
+    from,
+    pattern: undefined,
+  });
+
+  /**
+   * Writes a URL to the history, with the scroll override of the navigation.
+   * @param {string} url - URL to navigate to
+   * @param {Object} [state] - History state
+   * @param {{method: string, scroll: *}} mode - History method ("push" or "replace") and scroll override
+   * @private
+   */
+  const write = (url, state, { method, scroll }) => {
+    const wasWriting = writing;
+    writing = true;
+    try {
+      router.withScroll(scroll, () => router.history[method](url, state));
+    } finally {
+      writing = wasWriting;
+    }
+  };
+
+  /**
+   * Writes a URL to the history once guards have allowed it.
+   * @param {string} url - URL to navigate to
+   * @param {Object} [state] - History state
+   * @param {{method: string, scroll: *}} mode - History method and scroll override
+   * @private
+   */
+  const commit = (url, state, mode) => {
+    guarded = true;
+    try {
+      write(url, state, mode);
+    } finally {
+      guarded = false;
+    }
+  };
+
+  /**
+   * Resolves declared redirects and runs the guards for a transition,
+   * then commits it, cancels it or follows a guard redirect, emitting its
+   * lifecycle events.
+   * @param {{url: string, state: Object|undefined}} destination - URL and history state to navigate to
+   * @param {{method: string, scroll: *, trigger: string}} mode - History method ("push" or "replace"),
+   *   scroll override and trigger of the navigation
+   * @param {string|Object} [pattern] - URL pattern used to parse params and resolve redirects
+   * @param {number} [redirects=0] - Number of redirects already followed
+   * @returns {boolean|Promise<boolean>} Whether the navigation happened
+   * @throws {Error} If guards redirect more than `MAX_REDIRECTS` times
+   * @private
+   */
+  function transition(destination, mode, pattern, redirects = 0) {
+    const { location } = router.history;
+    const { state } = destination;
+    const context = {
+      action: mode.method.toUpperCase(),
+      trigger: mode.trigger,
+      from: location,
+      pattern,
+    };
+    const requested = createLocation(
+      destination.url,
+      state,
+      undefined,
+      location
+    );
+    if (redirects < 1) {
+      router.emit("navigationStart", () => toEvent(context, requested));
+    }
+
+    /* Declared redirects are resolved up front to avoid an intermediate history entry */
+    const redirectUrl = router.resolveRedirect(requested);
+    const url = redirectUrl || destination.url;
+    const to = createLocation(url, state, undefined, location);
+    if (redirectUrl) {
+      router.emit("redirected", () =>
+        toEvent(context, to, { redirectedFrom: requested, source: "redirect" })
+      );
+    }
+
+    const end = () => {
+      router.emit("navigationEnd", () =>
+        toEvent(context, router.history.location)
+      );
+      return true;
+    };
+
+    if (guards.length < 1) {
+      write(url, state, mode);
+      return end();
+    }
+
+    const settle = (result) => {
+      if (isThenable(result)) return result.then(settle);
+      if (result === true) {
+        commit(url, state, mode);
+        return end();
+      }
+      if (result === false) {
+        router.emit("blocked", () => toEvent(context, to));
+        return false;
+      }
+
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(
+          `Navigation to "${url}" was redirected more than ${MAX_REDIRECTS} times.`
+        );
+      }
+      const redirectDestination = router.toDestination(result, pattern);
+      router.emit("redirected", () =>
+        toEvent(
+          context,
+          createLocation(
+            redirectDestination.url,
+            redirectDestination.state,
+            undefined,
+            location
+          ),
+          { redirectedFrom: to, source: "guard" }
+        )
+      );
+      return transition(redirectDestination, mode, pattern, redirects + 1);
+    };
+
+    return settle(runGuards(guards, toContext(to, pattern, context.action)));
+  }
+
+  /**
+   * Settles a guard result for a transition that didn't go through `navigate`
+   * (e.g. back/forward buttons). Redirects cancel the transition, then navigate.
+   * @param {*} result - Guard result
+   * @param {string} action - History action
+   * @param {Object|null} context - Event context of the transition, or null
+   *   for a declared redirect, which isn't a transition of its own
+   * @param {Object} to - Destination location
+   * @returns {boolean} Whether the transition is allowed
+   * @private
+   */
+  const settlePrompt = (result, action, context, to) => {
+    if (result === true) {
+      if (context) external = context;
+      return true;
+    }
+
+    if (result === false) {
+      if (context) router.emit("blocked", () => toEvent(context, to));
+    } else {
+      if (context) {
+        router.emit("redirected", () =>
+          toEvent(
+            context,
+            createLocation(
+              router.toDestination(result).url,
+              undefined,
+              undefined,
+              to
+            ),
+            { redirectedFrom: to, source: "guard" }
+          )
+        );
+      }
+      Promise.resolve().then(() =>
+        navigateUnobserved(result, {
+          replace: action === "REPLACE",
+          trigger: context ? context.trigger : "history",
+        })
+      );
+    }
+    return false;
+  };
+
+  /**
+   * History `block` prompt running the guards for transitions that didn't go
+   * through `navigate`. Async guards are resolved through `getUserConfirmation`.
+   * @param {Object} location - Destination location
+   * @param {string} action - History action
+   * @returns {boolean|string} Whether the transition is allowed, or a pending confirmation message
+   * @private
+   */
+  function prompt(location, action) {
+    if (guarded) return true;
+
+    const context = router.isRedirecting()
+      ? null
+      : toExternalContext(action, router.history.location);
+    if (context) {
+      router.emit("navigationStart", () => toEvent(context, location));
+    }
+
+    const result = runGuards(guards, toContext(location, undefined, action));
+    if (isThenable(result)) {
+      return deferConfirmation(
+        result.then((resolved) =>
+          settlePrompt(resolved, action, context, location)
+        )
+      );
+    }
+    return settlePrompt(result, action, context, location);
+  }
+
+  /**
+   * Listens to the transitions that didn't go through `navigate` (back/forward
+   * buttons, direct history writes) to emit their lifecycle events. Declared
+   * redirects of these transitions are reported, then skipped.
+   * @returns {Function} Function removing the listener
+   * @private
+   */
+  function observeHistory() {
+    let last = router.history.location;
+
+    return router.history.listen((location, action) => {
+      if (router.isRedirecting()) return;
+      if (writing) {
+        last = location;
+        return;
+      }
+
+      /* Transitions allowed by the guards already emitted their start event */
+      const context = external || toExternalContext(action, last);
+      if (!external) {
+        router.emit("navigationStart", () => toEvent(context, location));
+      }
+      external = null;
+
+      const redirectUrl = router.resolveRedirect(location);
+      const to = redirectUrl
+        ? createLocation(redirectUrl, location.state, undefined, location)
+        : location;
+      if (redirectUrl) {
+        router.emit("redirected", () =>
+          toEvent(context, to, { redirectedFrom: location, source: "redirect" })
+        );
+      }
+      last = to;
+      router.emit("navigationEnd", () => toEvent(context, to));
+    });
+  }
+
+  /**
+   * `beforeunload` listener asking for the browser's confirmation when a
+   * guard doesn't synchronously allow leaving the page.
+   * @param {Event} e - Unload event
+   * @private
+   */
+  function onBeforeUnload(e) {
+    const result = runGuards(guards, toContext(null, undefined, "UNLOAD"));
+    if (result === true) return;
+
+    if (isThenable(result)) result.catch(() => {});
+    e.preventDefault();
+    e.returnValue = "";
+  }
+
+  /**
+   * Blocks history transitions and page unload with the guards.
+   * @returns {Function} Function removing the blocks
+   * @private
+   */
+  function block() {
+    const { history } = router;
+    const unblockHistory =
+      typeof history.block === "function" ? history.block(prompt) : () => {};
+    const hasWindow = typeof window !== "undefined";
+    if (hasWindow) window.addEventListener("beforeunload", onBeforeUnload);
+
+    return () => {
+      unblockHistory();
+      if (hasWindow) window.removeEventListener("beforeunload", onBeforeUnload);
+    };
+  }
+
+  /**
+   * Registers a guard run before every navigation: `navigate`, `goTo`,
+   * `routable().goTo`, back/forward buttons (POP) and page unload.
+   *
+   * The guard receives `{ action, from, to, fromParams, toParams }` and returns:
+   * - `undefined` or `true` to allow the navigation
+   * - `false` to cancel it
+   * - a destination (string, params object or updater function) to redirect to
+   * - a Promise resolving to one of the above
+   *
+   * Guards run in registration order, until one doesn't allow the navigation.
+   * On page unload, `to` is null, `action` is "UNLOAD" and anything but a
+   * synchronous `true`/`undefined` triggers the browser's native confirmation.
+   *
+   * @param {Function} fn - Guard function
+   * @returns {Function} Function removing the guard
+   *
+   * @example
+   * const removeGuard = beforeNavigate(({ fromParams, toParams }) => {
+   *   if (hasUnsavedChanges && toParams.id !== fromParams.id) {
+   *     return confirmDialog("Discard changes?");
+   *   }
+   * });
+   *
+   * @example
+   * // Redirect
+   * beforeNavigate(({ toParams }) => (toParams.admin && !isAdmin ? "/login" : true));
+   */
+  function beforeNavigate(fn) {
+    guards.push(fn);
+    if (!unblock) unblock = block();
+
+    return () => {
+      const index = guards.indexOf(fn);
+      if (index >= 0) guards.splice(index, 1);
+      if (guards.length < 1 && unblock) {
+        unblock();
+        unblock = null;
+      }
+    };
+  }
+
+  /**
+   * Writes navigations as a single history change. Each destination is
+   * resolved against the location of the previous one, so updater functions
+   * are applied in order. The history entry is replaced if all navigations
+   * replace, and pushed otherwise.
+   * Errors are reported with a `navigationError` event, then rethrown.
+   * @param {Array<Object>} steps - Navigations `{ to, pattern, replace, scroll, trigger }`, in call order
+   * @returns {boolean|Promise<boolean>} Whether the navigation happened
+   * @private
+   */
+  function commitSteps(steps) {
+    const method = steps.every((step) => step.replace) ? "replace" : "push";
+    const scroll = steps.reduce(
+      (prev, step) => (step.scroll === undefined ? prev : step.scroll),
+      undefined
+    );
+    const { pattern, trigger: stepTrigger } = steps[steps.length - 1];
+    const from = router.history.location;
+    let location = from;
+
+    const fail = (error) => {
+      const context = {
+        action: method.toUpperCase(),
+        trigger: stepTrigger,
+        from,
+        pattern,
+      };
+      const to = location === from ? null : location;
+      router.emit("navigationError", () => toEvent(context, to, { error }));
+      throw error;
+    };
+
+    try {
+      let destination;
+      steps.forEach((step) => {
+        destination = router.toDestination(step.to, step.pattern, location);
+        const { url, state } = destination;
+        location = createLocation(url, state, undefined, location);
+      });
+
+      const mode = { method, scroll, trigger: stepTrigger };
+      const result = transition(destination, mode, pattern);
+      return isThenable(result) ? result.catch(fail) : result;
+    } catch (e) {
+      return fail(e);
+    }
+  }
+
+  /**
+   * Takes the pending debounced navigations, settling their promise with the
+   * result of a function writing them. Errors are already reported with a
+   * `navigationError` event, so the promise resolves to false instead of
+   * rejecting, since debounced calls are rarely awaited.
+   * @param {Function} write - Receives the pending navigations and writes them
+   * @param {boolean} [rethrow=true] - Whether errors are thrown to the caller.
+   *   Writes run by the debounce timer have none
+   * @returns {boolean|Promise<boolean>|undefined} Result of `write`
+   * @private
+   */
+  function flushPending(write, rethrow = true) {
+    const { steps, timer, leading, resolve } = pending;
+    pending = null;
+    clearTimeout(timer);
+
+    /* Navigations following a leading write replace its history entry */
+    const merged = leading
+      ? steps.map((step) => ({ ...step, replace: true }))
+      : steps;
+    try {
+      const result = write(merged);
+      resolve(isThenable(result) ? result.catch(() => false) : result);
+      return result;
+    } catch (e) {
+      resolve(false);
+      if (rethrow) throw e;
+      return undefined;
+    }
+  }
+
+  /**
+   * Delays a navigation until no other debounced navigation happened for its
+   * `debounce` delay, then writes all of them as a single history change.
+   * With `mergeWith: "replace"`, the first navigation is written right away,
+   * and the following ones replace its history entry.
+   * @param {Object} step - Navigation `{ to, pattern, replace, scroll, debounce, mergeWith }`
+   * @returns {boolean|Promise<boolean>} Whether the navigation happened, or a
+   *   Promise resolving to it once written
+   * @private
+   */
+  function debounceStep(step) {
+    let result;
+    if (!pending) {
+      let resolve;
+      const promise = new Promise((res) => {
+        resolve = res;
+      });
+      const burst = {
+        steps: [],
+        timer: null,
+        leading: false,
+        promise,
+        resolve,
+      };
+      pending = burst;
+
+      if (step.mergeWith === "replace") {
+        try {
+          result = commitSteps([step]);
+        } catch (e) {
+          /* Nothing was written, so the next navigation starts a new burst */
+          pending = null;
+          throw e;
+        }
+
+        /* The following navigations only replace the leading entry once it is
+         * written. If a guard cancelled it, they push an entry of their own */
+        const lead = (written) => {
+          if (written === true && pending === burst) burst.leading = true;
+          return written;
+        };
+        if (isThenable(result)) {
+          result = result.then(lead);
+        } else if (!lead(result)) {
+          pending = null;
+          return result;
+        }
+      }
+    }
+    if (result === undefined) pending.steps.push(step);
+
+    clearTimeout(pending.timer);
+    pending.timer = setTimeout(
+      () =>
+        flushPending(
+          (steps) => (steps.length > 0 ? commitSteps(steps) : true),
+          false
+        ),
+      step.debounce
+    );
+    return result === undefined ? pending.promise : result;
+  }
+
+  /**
+   * Navigates to a destination URL or parameter object.
+   * Converts the destination to a URL string and updates the browser history
+   * using either push (default) or replace mode. Params declared in the pattern
+   * `state` keys are written to the history state instead of the URL.
+   *
+   * @param {string|Function|Object} [to=""] - Destination specification:
+   *   - String: URL to navigate to
+   *   - Object: parameters to convert to URL
+   *   - Function: receives current params, returns updated params
+   * @param {string|Object} [patternOrOptions] - Either:
+   *   - String: URL pattern for parameter extraction (e.g., "/users/:id")
+   *   - Object: options object with optional `pattern`, `replace` and `scroll` properties.
+   *     `scroll` overrides the scroll management of `enableScrollRestoration` for this
+   *     navigation: `false` to keep the scroll position, `"top"` or `{ top, left }`
+   *   - Object with a `path`: pattern object (e.g., `{ path: "/users/:id", schema }`)
+   *   - Object: options may also have a `debounce` delay in milliseconds, coalescing the
+   *     navigations made until no other one happened for that delay into a single history
+   *     change, written once the delay elapses. With `mergeWith: "replace"`, the first
+   *     navigation is written right away and the coalesced ones replace its history entry
+   *   - Object: options may also have a `trigger`, reported by lifecycle events (see `on`),
+   *     "navigate" by default
+   * @param {boolean} [replace=false] - If true, replaces current history entry instead of pushing
+   * @returns {boolean|Promise<boolean>|undefined} Whether the navigation happened (false if blocked by a guard),
+   *   or a Promise resolving to it when a guard is asynchronous or the navigation is debounced.
+   *   Undefined inside `navigate.batch`, which returns it instead
+   *
+   * @example
+   * navigate("/users/123");
+   * navigate({ id: 123, tab: "profile" }, "/users/:id");
+   * navigate(params => ({ ...params, sort: "asc" }), { pattern: "/users/:id", replace: true });
+   * navigate({ page: 2 }, { pattern: "/users", scroll: false });
+   *
+   * @example
+   * // `section` goes to the hash and `draft` to the history state
+   * navigate({ id: 1, section: "bio", draft: {...} }, { path: "/users/:id", hash: ["section"], state: ["draft"] });
+   *
+   * @example
+   * // Search box: the first keystroke pushes an entry, the next ones replace it
+   * navigate((params) => ({ ...params, q }), { debounce: 300, mergeWith: "replace" });
+   */
+  function navigate(to = "", patternOrOptions, replace = false) {
+    const step = {
+      to,
+      pattern: patternOrOptions,
+      replace,
+      trigger: "navigate",
+    };
+
+    /* Second argument might be the `pattern` (for consistency with `toUrl` and `toParams`),
+     * or an options object containing `{ pattern, replace }`. */
+    if (isOptions(patternOrOptions)) {
+      Object.assign(step, {
+        pattern: patternOrOptions.pattern,
+        replace: patternOrOptions.replace,
+        scroll: patternOrOptions.scroll,
+        debounce: patternOrOptions.debounce,
+        mergeWith: patternOrOptions.mergeWith,
+        trigger: patternOrOptions.trigger || "navigate",
+      });
+    }
+
+    if (batched) {
+      batched.push(step);
+      return undefined;
+    }
+    if (step.debounce > 0) return debounceStep(step);
+    if (!pending) return commitSteps([step]);
+
+    /* Pending debounced navigations are written along with this one, keeping their order */
+    return flushPending((steps) => commitSteps([...steps, step]));
+  }
+
+  /**
+   * Navigates from an event handler or a guard redirect, whose result nobody
+   * awaits. Errors are already reported with a `navigationError` event, so
+   * they aren't rethrown as uncaught exceptions or unhandled rejections.
+   * @param {string|Function|Object} to - Destination specification
+   * @param {Object} options - Navigation options
+   * @private
+   */
+  function navigateUnobserved(to, options) {
+    try {
+      const result = navigate(to, options);
+      if (isThenable(result)) result.catch(() => {});
+    } catch (e) {
+      /* Reported with a `navigationError` event */
+    }
+  }
+
+  /**
+   * Runs a function making several navigations, and writes them as a single
+   * history change, notifying listeners once. Updater functions are applied
+   * in order, each one receiving the params resulting from the previous ones.
+   * The history entry is replaced if all navigations replace, and pushed
+   * otherwise. Navigations made by nested batches join the outer one.
+   *
+   * @param {Function} fn - Function calling `navigate` synchronously
+   * @returns {boolean|Promise<boolean>|undefined} Whether the navigation happened, as for
+   *   `navigate`, or undefined when nested in another batch
+   *
+   * @example
+   * navigate.batch(() => {
+   *   navigate((params) => ({ ...params, lat, lng }), { replace: true });
+   *   navigate((params) => ({ ...params, zoom }), { replace: true });
+   * });
+   */
+  navigate.batch = (fn) => {
+    if (batched) {
+      fn();
+      return undefined;
+    }
+
+    batched = [];
+    let steps;
+    try {
+      fn();
+    } finally {
+      steps = batched;
+      batched = null;
+    }
+    return steps.length > 0 ? commitSteps(steps) : true;
+  };
+
+  /**
+   * Event handler for anchor tag clicks that enables client-side navigation.
+   * Intercepts clicks on links and performs client-side navigation instead of
+   * standard page navigation. Handles edge cases like modifier keys, non-primary
+   * button clicks, and target attributes.
+   *
+   * Respects the following conditions:
+   * - Only primary (left) button clicks are handled
+   * - Clicks with modifier keys (Cmd, Alt, Ctrl, Shift) are ignored
+   * - Links with target attribute other than "_self" are ignored
+   * - Clicks on elements without href attribute are ignored
+   *
+   * @param {MouseEvent} e - Click event from an anchor element
+   *
+   * @example
+   * // In JSX/HTML:
+   * <a href="/users/123" onClick={goTo}>View User</a>
+   * <a href="/admin" onClick={goTo} replace>Admin Panel</a>
+   * <a href="?page=2" onClick={goTo} scroll="false">Next page</a>
+   *
+   * @note
+   * The anchor element must have:
+   * - A string `href` attribute
+   * - Optionally a `replace` attribute to use replace mode instead of push
+   * - Optionally a `scroll="false"` attribute to keep the scroll position
+   */
+  function goTo(e) {
+    const { currentTarget: el } = e || {};
+    if (!el) return;
+
+    const href = el.getAttribute("href");
+
+    if (isNavigationClick(e, el.target)) {
+      e.preventDefault();
+      if (typeof href === "string") {
+        navigateUnobserved(href, { ...toLinkOptions(el), trigger: "goTo" });
+      }
+    }
+  }
+
+  /**
+   * Installs a single delegated click listener handling all the links of a
+   * root element as client-side navigations, including links rendered from
+   * Markdown, CMS HTML or third-party components, without `onClick={goTo}`.
+   *
+   * Clicks are handled like `goTo` (main button, no modifier keys, no target
+   * other than "_self", `replace` and `scroll="false"` attributes), and left to
+   * the browser for:
+   * - links to other origins
+   * - links with a `download` attribute or `rel="external"`
+   * - links outside of the `basePath`
+   *
+   * @param {Element|Document} [root=document] - Element whose links are intercepted
+   * @param {Object} [options]
+   * @param {string} [options.basePath="/"] - Only links whose pathname starts with it are intercepted
+   * @returns {Function} Function removing the listener
+   *
+   * @example
+   * const uninstall = interceptLinks(document.getElementById("content"), {
+   *   basePath: "/app",
+   * });
+   */
+  function interceptLinks(root, { basePath = "/" } = {}) {
+    const el = root || (typeof document !== "undefined" ? document : null);
+    if (!el) return () => {};
+
+    const onClick = (e) => {
+      const link = e.target && e.target.closest ? e.target.closest("a") : null;
+      if (!link || !link.hasAttribute("href")) return;
+      if (!isNavigationClick(e, link.getAttribute("target"))) return;
+      if (isExternalLink(link, basePath)) return;
+
+      e.preventDefault();
+      const { pathname, search, hash } = link;
+      navigateUnobserved(`${pathname}${search}${hash}`, {
+        ...toLinkOptions(link),
+        trigger: "goTo",
+      });
+    };
+
+    el.addEventListener("click", onClick);
+    return () => el.removeEventListener("click", onClick);
   }
 
-  const url = toUrl(to, pattern);
-  const method = _replace ? history.replace : history.push;
-  method(url);
+  return {
+    beforeNavigate,
+    goTo,
+    interceptLinks,
+    navigate,
+    observeHistory,
+  };
 }
 
 /**
- * Event handler for anchor tag clicks that enables client-side navigation.
- * Intercepts clicks on links and performs client-side navigation instead of
- * standard page navigation. Handles edge cases like modifier keys, non-primary
- * button clicks, and target attributes.
- *
- * Respects the following conditions:
- * - Only primary (left) button clicks are handled
- * - Clicks with modifier keys (Cmd, Alt, Ctrl, Shift) are ignored
- * - Links with target attribute other than "_self" are ignored
- * - Clicks on elements without href attribute are ignored
- *
- * @param {MouseEvent} e - Click event from an anchor element
- *
- * @example
- * // In JSX/HTML:
- * <a href="/users/123" onClick={goTo}>View User</a>
- * <a href="/admin" onClick={goTo} replace>Admin Panel</a>
- *
- * @note
- * The anchor element must have:
- * - A string `href` attribute
- * - Optionally a `replace` attribute to use replace mode instead of push
+ * Reads the navigation options of a link from its `replace` and `scroll` attributes.
+ * @param {Element} el - Anchor element
+ * @returns {{replace: boolean, scroll: (false|undefined)}} Navigation options
+ * @private
  */
-export function goTo(e) {
-  const { button, defaultPrevented, currentTarget: el } = e || {};
-  if (!el) return;
-
-  const href = el.getAttribute("href");
-  const { target } = el;
+function toLinkOptions(el) {
   const replace = ![false, "false", null, undefined].includes(
     el.getAttribute("replace")
   );
-  const isModified = !!(e.metaKey || e.altKey || e.ctrlKey || e.shiftKey);
-
-  if (
-    !defaultPrevented &&
-    button === 0 && // Only main button clicks
-    (!target || target === "_self") && // Let browser handle "target=_blank" etc.
-    !isModified // Ignore clicks with modifier keys
-  ) {
-    e.preventDefault();
-    if (typeof href === "string") navigate(href, { replace });
-  }
+  const scroll = el.getAttribute("scroll") === "false" ? false : undefined;
+  return { replace, scroll };
 }
+
+/**
+ * Checks if a link should be left to the browser by `interceptLinks`.
+ * @param {HTMLAnchorElement} link - Anchor element
+ * @param {string} basePath - Path prefix of intercepted links
+ * @returns {boolean} True if the link goes to another origin, is a download,
+ *   is marked as external or is outside of the base path
+ * @private
+ */
+function isExternalLink(link, basePath) {
+  const rel = (link.getAttribute("rel") || "").split(/\s+/);
+  const base = basePath.replace(/\/+$/, "");
+  const { pathname } = link;
+
+  return (
+    link.origin !== window.location.origin ||
+    link.hasAttribute("download") ||
+    rel.includes("external") ||
+    (pathname !== base && !pathname.startsWith(`${base}/`))
+  );
+}
+
+/**
+ * Checks if the second argument of `navigate` is an options object rather
+ * than a pattern (string or `{ path, schema }` pattern object).
+ * @param {*} x - Second argument of `navigate`
+ * @returns {boolean} True if x is an options object
+ * @private
+ */
+const isOptions = (x) => !!x && typeof x === "object" && !("path" in x);
@@ -0,0 +1,355 @@
+/**
+ * @module nesting
+ * @description Framework-agnostic hierarchical routing.
+ * Combines the pattern of a router level with the ones of its ancestors, so
+ * each level only knows its own part of the URL. Used by `createNestedRouter`,
+ * the Svelte `routable` store and the framework adapters.
+ */
+
+import { isNil, pick, toPattern } from "./util";
+
+/**
+ * Parent level of top-level router levels.
+ * @type {Object}
+ * @private
+ */
+export const ROOT_LEVEL = {
+  ownPattern: "",
+  rootPattern: "",
+  keptParams: {},
+  route: { schema: {}, hash: [], state: [] },
+};
+
+/**
+ * Extracts the own pattern and keys of a router level.
+ * @param {string|Object} stringOrOptions - Route pattern or configuration
+ * @param {Object} [options]
+ * @param {string} [options.outlet] - Outlet of the level, overriding the configuration's
+ * @param {string|Function} [options.title] - Title of the level, overriding the configuration's
+ * @returns {{pattern: string, schema: Object, hash: Array, state: Array, query: Array|undefined,
+ *   outlet: string|undefined, title: string|Function|undefined}}
+ * @private
+ */
+export function toOwnLevel(stringOrOptions, { outlet, title } = {}) {
+  const {
+    schema = {},
+    hash = [],
+    state = [],
+    query,
+    outlet: ownOutlet,
+    title: ownTitle,
+  } = typeof stringOrOptions === "object" ? stringOrOptions : {};
+  return {
+    pattern: toPattern(stringOrOptions),
+    schema,
+    hash,
+    state,
+    query,
+    outlet: outlet || ownOutlet,
+    title: title || ownTitle,
+  };
+}
+
+/**
+ * Combines the query keys of a parent route with the own ones of a level.
+ * Levels are only scoped once a level of the chain declares its query keys.
+ * @param {Array<string>} [parentKeys] - Query keys of the parent route
+ * @param {Array<string>} [ownKeys] - Own query keys
+ * @returns {Array<string>|undefined} Combined query keys, undefined to keep all query params
+ * @private
+ */
+const combineQueryKeys = (parentKeys, ownKeys) =>
+  parentKeys || ownKeys
+    ? [...(parentKeys || []), ...(ownKeys || [])]
+    : undefined;
+
+/**
+ * Combines a parent level with an own pattern at a location.
+ * The level pattern is the parent's root pattern followed by the own pattern
+ * and a `(*)` catch-all, whose match is exposed as `rest`. Levels of an outlet
+ * other than their parent's start a new route tree, matched against the
+ * sub-path of the outlet.
+ *
+ * @param {Object} router - Router
+ * @param {Object} parent - Parent level
+ * @param {Object} own - Own pattern and keys
+ * @param {Object} location - Current location
+ * @returns {Object} Level:
+ *   - `goTo(to, options?)`: navigates, merging object destinations with the parent's kept params
+ *   - `href(arg)`: URL of a params object or updater function, merged with the parent's kept params
+ *   - `isActive(arg, options?)`: whether the `href` of `arg` is active at the location (see `isActive`)
+ *   - `keptParams`: root params and declared query params, kept by `goTo` and `href` of child levels
+ *   - `ownPattern`: pattern of this level only
+ *   - `params`: params extracted at this level, excluding `rest`
+ *   - `parent`: parent level
+ *   - `pattern`: combined pattern, with the `(*)` catch-all
+ *   - `rootParams`: pathname params of the combined pattern
+ *   - `rootPattern`: combined pattern of all ancestors and this level
+ *   - `route`: pattern object combining the path, schema, hash, state and query keys of all levels,
+ *     and their outlet
+ *   - `schema`: params schema combining the ones of all levels
+ *   - `rest`: remainder of the URL not matched by the pattern
+ *   - `title`: title of this level, from its `title` string or function of `params`, if any
+ * @private
+ */
+export function toLevel(router, parentLevel, own, location) {
+  const parent =
+    own.outlet && own.outlet !== parentLevel.route.outlet
+      ? ROOT_LEVEL
+      : parentLevel;
+  const rootPattern = [parent.rootPattern, own.pattern].join("");
+  const pattern = `${rootPattern}(*)`;
+  const schema = { ...parent.route.schema, ...own.schema };
+  const route = {
+    path: pattern,
+    schema,
+    hash: [...parent.route.hash, ...own.hash],
+    state: [...parent.route.state, ...own.state],
+  };
+  const query = combineQueryKeys(parent.route.query, own.query);
+  if (query) route.query = query;
+  const outlet = own.outlet || parent.route.outlet;
+  if (outlet) route.outlet = outlet;
+
+  const { _: rest = "", ...params } = router.toParams(location, route);
+  const { _, ...rootParams } = router.toOwnParams(location, route);
+  /* Query params declared by the levels are kept like pathname params, while
+   * undeclared ones (e.g. of sibling levels) are dropped by their updaters */
+  const keptParams = {
+    ...rootParams,
+    ...pick(
+      (query || []).filter((key) => key in params),
+      params
+    ),
+  };
+  const withKeptParams = (to) =>
+    typeof to === "object" ? { ...parent.keptParams, ...to } : to;
+  const href = (arg) => {
+    if (typeof arg === "function") {
+      return router.toUrl(arg({ ...parent.keptParams, ...params }), route);
+    }
+    return typeof arg === "object"
+      ? router.toUrl(withKeptParams(arg), route)
+      : arg;
+  };
+
+  return {
+    goTo: (to, options) =>
+      router.navigate(withKeptParams(to), {
+        pattern: route,
+        trigger: "routable.goTo",
+        ...options,
+      }),
+    href,
+    isActive: (arg, options) =>
+      router.isActive(href(arg), { pattern: route, location, ...options }),
+    keptParams,
+    ownPattern: own.pattern,
+    params,
+    parent,
+    pattern,
+    rootParams,
+    rootPattern,
+    route,
+    schema,
+    rest,
+    title: typeof own.title === "function" ? own.title(params) : own.title,
+  };
+}
+
+/**
+ * Lists the levels of a chain, from the top-level one to a level.
+ * @param {Object} level - Deepest level of the chain
+ * @returns {Array<Object>} Levels, top-level first
+ * @private
+ */
+const toChain = (level) =>
+  level === ROOT_LEVEL ? [] : [...toChain(level.parent), level];
+
+/**
+ * Creates the nested router factory bound to a router instance.
+ *
+ * @param {Object} router - Router instance exposing `history`, `matches`, `toParams`,
+ *   `toOwnParams`, `toUrl`, `navigate` and `trackLocation`
+ * @returns {{breadcrumbs: Object, createNestedRouter: Function}}
+ * @private
+ */
+export function createNesting(router) {
+  /** @type {Array<Object>} Nested routers with subscribers, once per subscription */
+  const mounted = [];
+
+  /** @type {Array<Function>} Subscribers of the breadcrumbs */
+  const crumbSubscribers = [];
+
+  /**
+   * Builds the breadcrumbs of a location from the deepest mounted level of
+   * the main route tree matching it, and its ancestors.
+   * @param {Object} location - Location
+   * @returns {Array<{title: string, href: string, params: Object, pattern: string}>} Breadcrumbs
+   * @private
+   */
+  function toBreadcrumbs(location) {
+    const chain = mounted
+      .map((nested) => toChain(nested.getLevel(location)))
+      .filter((levels) => {
+        const { route } = levels[levels.length - 1];
+        return !route.outlet && router.matches(location, route);
+      })
+      .reduce(
+        (deepest, levels) =>
+          levels.length > deepest.length ? levels : deepest,
+        []
+      );
+
+    return chain
+      .filter(({ title }) => !isNil(title))
+      .map(({ title, href, keptParams, params, rootPattern }) => ({
+        title,
+        href: href(keptParams),
+        params,
+        pattern: rootPattern,
+      }));
+  }
+
+  /**
+   * Notifies the breadcrumbs subscribers that the mounted levels changed.
+   * @private
+   */
+  const notifyBreadcrumbs = () => {
+    const crumbs = toBreadcrumbs(router.history.location);
+    crumbSubscribers.slice().forEach((fn) => fn(crumbs));
+  };
+
+  /**
+   * Breadcrumbs of the current location, following the Svelte store contract:
+   * the ordered `[{ title, href, params, pattern }]` of the levels with a `title`,
+   * from the top-level one to the deepest mounted level matching the location.
+   * Levels are mounted while their nested router (or `routable` store) has
+   * subscribers, and `href` is the URL of each level, built with its `href`,
+   * so crumbs are real links. Levels of named outlets are left out.
+   *
+   * @type {{subscribe: Function, get: Function}}
+   *   - `subscribe(fn)`: calls `fn` with the breadcrumbs now, on each location
+   *     change and when levels are mounted or unmounted, returning an unsubscribe function
+   *   - `get(location?)`: breadcrumbs at a location, the current one by default
+   *
+   * @example
+   * // Layout.svelte
+   * const router = routable("/users", { title: "Users" });
+   * // User.svelte
+   * const router = routable("/:id", { title: (params) => `User ${params.id}` });
+   * // Breadcrumbs.svelte
+   * {#each $breadcrumbs as crumb}<a href={crumb.href} on:click={goTo}>{crumb.title}</a>{/each}
+   * // URL: /users/3 -> [{ title: "Users", href: "/users", ... }, { title: "User 3", href: "/users/3", ... }]
+   */
+  const breadcrumbs = {
+    subscribe(fn) {
+      const unlisten = router.trackLocation((location) =>
+        fn(toBreadcrumbs(location))
+      );
+      crumbSubscribers.push(fn);
+
+      return () => {
+        unlisten();
+        const index = crumbSubscribers.indexOf(fn);
+        if (index >= 0) crumbSubscribers.splice(index, 1);
+      };
+    },
+    get: (location = router.history.location) => toBreadcrumbs(location),
+  };
+
+  /**
+   * Creates a nested router, combining its pattern with the ones of its parents,
+   * so that vanilla JS and web components can nest routes like `routable` does.
+   * Its state is computed from the current location when read, and its
+   * `subscribe` method follows the Svelte store contract.
+   *
+   * @param {string|Object} [stringOrOptions=""] - Route pattern or configuration
+   *   (`path`, `params`, `schema`, `hash`, `state`, `query` and `outlet`, as for `routable`)
+   * @param {Object} [options]
+   * @param {Object} [options.parent] - Parent nested router
+   * @param {string} [options.outlet] - Query key holding the sub-path of this level
+   *   and its children, matched instead of the pathname (see `routable`)
+   * @param {string|Function} [options.title] - Title of this level in `breadcrumbs`,
+   *   or function of its params returning it
+   * @returns {Object} Nested router:
+   *   - `subscribe(fn)`: calls `fn` with the level state now and on each location change,
+   *     returning an unsubscribe function
+   *   - `getLevel(location?)`: level state at a location, the current one by default
+   *   - `params`, `rest`, `rootParams`, `pattern`, `route`, `title`: current level state
+   *   - `href(arg)` and `goTo(to, options?)`: preserve the params of parent levels
+   *   - `isActive(arg, options?)`: whether the `href` of `arg` is the current location (see `isActive`)
+   *   - `child(pattern)`: creates a nested router with this one as parent
+   *   - `parent`: parent nested router, if any
+   *
+   * @example
+   * const admin = createNestedRouter("/admin/:adminId");
+   * const users = admin.child({ path: "/users/:userId", schema: { userId: "int" } });
+   * // Pattern: /admin/:adminId/users/:userId(*)
+   *
+   * users.href({ userId: 3 }); // "/admin/7/users/3" when on /admin/7
+   * const unsubscribe = users.subscribe(({ params, rest }) => render(params, rest));
+   *
+   * @example
+   * // Side panel, in the "panel" query key: /dashboard?panel=%2Fusers%2F3
+   * const panel = createNestedRouter("/users/:id", { outlet: "panel" });
+   * panel.params; // { id: "3" }
+   */
+  function createNestedRouter(
+    stringOrOptions = "",
+    { parent, outlet, title } = {}
+  ) {
+    const own = toOwnLevel(stringOrOptions, { outlet, title });
+    const getLevel = (location = router.history.location) =>
+      toLevel(
+        router,
+        parent ? parent.getLevel(location) : ROOT_LEVEL,
+        own,
+        location
+      );
+
+    const nested = {
+      subscribe(fn) {
+        const unlisten = router.trackLocation((location) =>
+          fn(getLevel(location))
+        );
+        mounted.push(nested);
+        notifyBreadcrumbs();
+
+        return () => {
+          unlisten();
+          const index = mounted.indexOf(nested);
+          if (index >= 0) mounted.splice(index, 1);
+          notifyBreadcrumbs();
+        };
+      },
+      getLevel,
+      get params() {
+        return getLevel().params;
+      },
+      get rest() {
+        return getLevel().rest;
+      },
+      get rootParams() {
+        return getLevel().rootParams;
+      },
+      get pattern() {
+        return getLevel().pattern;
+      },
+      get route() {
+        return getLevel().route;
+      },
+      get title() {
+        return getLevel().title;
+      },
+      href: (arg) => getLevel().href(arg),
+      isActive: (arg, options) => getLevel().isActive(arg, options),
+      goTo: (to, options) => getLevel().goTo(to, options),
+      child: (pattern) => createNestedRouter(pattern, { parent: nested }),
+      parent,
+    };
+    return nested;
+  }
+
+  return { breadcrumbs, createNestedRouter };
+}
@@ -5,11 +5,35 @@
  * query strings, hash fragments, and state.
  */
 
-import qs from "query-string";
-import { history } from "./history";
-import { getParser } from "./router";
+import {
+  autoType,
+  parseQuery,
+  setQueryValue,
+  stringifyQuery,
+} from "./encoding";
+import { RouteError } from "./errors";
+import { createLocation } from "./history";
+import {
+  getArrayFormat,
+  getConstraints,
+  getOutlet,
+  getParser,
+  getPath,
+  getQueryKeys,
+  getRequiredNames,
+  getSchema,
+  getTargetKeys,
+  isStrict,
+} from "./router";
+import { coerceParams, serializeParams, withDefaults } from "./schema";
 import { isNil, omit, pick } from "./util";
 
+/** @constant {RegExp} ABSOLUTE_URL_REGEX - Matches URLs with a scheme or protocol-relative URLs */
+const ABSOLUTE_URL_REGEX = /^([a-z][a-z\d+\-.]*:|\/\/)/i;
+
+/** @constant {string} URL_BASE - Base resolving protocol-relative URLs, whose origin is ignored */
+const URL_BASE = "http://localhost";
+
 /** @constant {RegExp} LEAD_TRAIL_SLASHES_REGEX - Matches leading and trailing slashes */
 const LEAD_TRAIL_SLASHES_REGEX = /^(\/+)\/|\/+$/;
 
@@ -22,141 +46,591 @@ const LEAD_TRAIL_SLASHES_REGEX = /^(\/+)\/|\/+$/;
 const trimSlashes = (str) => str.replace(LEAD_TRAIL_SLASHES_REGEX, "");
 
 /**
- * Parses a query string or hash string into an object with typed values.
- * Numbers and booleans are automatically parsed.
+ * Parses a query string or hash string into an object with typed values,
+ * according to the pattern array format. Keys declared in the pattern schema
+ * are coerced according to it, while numbers and booleans are automatically
+ * parsed for the other keys.
  * @param {string} str - Query or hash string (without leading ? or #)
+ * @param {string|Object} [pattern] - URL pattern or pattern object
  * @returns {Object} Parsed parameters object
  * @private
  */
-const parseQueryOrHash = (str) =>
-  qs.parse(str, { parseNumbers: true, parseBooleans: true });
+const parseQueryOrHash = (str, pattern) => {
+  const schema = getSchema(pattern);
+  const schemaKeys = Object.keys(schema);
+  const rawParams = parseQuery(str, getArrayFormat(pattern));
+
+  return {
+    ...autoType(omit(schemaKeys, rawParams)),
+    ...coerceParams(schema, pick(schemaKeys, rawParams)),
+  };
+};
+
+/**
+ * Keeps the query params a pattern declares with its `query` key, if any.
+ * @param {Object} params - Parsed query params
+ * @param {string|Object} [pattern] - URL pattern or pattern object
+ * @returns {Object} Query params owned by the pattern
+ * @private
+ */
+const scopeQuery = (params, pattern) => {
+  const keys = getQueryKeys(pattern);
+  return keys
+    ? pick(
+        keys.filter((key) => key in params),
+        params
+      )
+    : params;
+};
+
+/**
+ * Lists the params whose values don't satisfy their constraint.
+ * Missing values (e.g. in optional segments) are not checked.
+ * @param {Object} params - Pathname params
+ * @param {Object<string, RegExp>} constraints - Constraints keyed by param name
+ * @returns {Array<string>} Invalid param names
+ * @private
+ */
+const findInvalidKeys = (params, constraints) =>
+  Object.keys(constraints).filter(
+    (key) =>
+      !isNil(params[key]) &&
+      [].concat(params[key]).some((value) => !constraints[key].test(value))
+  );
+
+/**
+ * Lists the required params that have no value.
+ * @param {Object} params - Serialized pathname params
+ * @param {string|Object} pattern - URL pattern or pattern object
+ * @returns {Array<string>} Missing param names
+ * @private
+ */
+const findMissingKeys = (params, pattern) =>
+  getRequiredNames(pattern).filter(
+    (key) => isNil(params[key]) || params[key] === ""
+  );
+
+/**
+ * Throws a `RouteError` if required params are missing.
+ * @param {Object} params - Serialized pathname params
+ * @param {string|Object} pattern - URL pattern or pattern object
+ * @throws {RouteError} "MISSING_PARAM" if a required param has no value
+ * @private
+ */
+function assertRequiredParams(params, pattern) {
+  const keys = findMissingKeys(params, pattern);
+  if (keys.length < 1) return;
+
+  const names = keys.map((key) => `"${key}"`).join(", ");
+  throw new RouteError(
+    "MISSING_PARAM",
+    `Missing params for pattern "${getPath(pattern)}": ${names}`,
+    { pattern, keys }
+  );
+}
 
 /**
  * Converts various location representations to a Location object.
+ * Absolute URLs are parsed with `URL`, while relative URLs (e.g. a server
+ * request's `/users/3?tab=x`) are parsed like history locations, without
+ * requiring a browser.
  * @param {string|Object|null} arg - URL string, Location object, or null
  * @returns {Object} Location object with URL components
  * @private
  */
-const toLocation = (arg) => {
+export const toLocation = (arg) => {
   if (typeof arg === "object") return arg;
   if (typeof arg !== "string") return {};
-  return new URL(arg);
+  if (ABSOLUTE_URL_REGEX.test(arg)) return new URL(arg, URL_BASE);
+  return createLocation(arg);
 };
 
 /**
- * Gets the current parameters from the browser's current location.
- * @param {string} [pattern] - URL pattern for pathname parameter extraction
- * @returns {Object} Current parameters
+ * Reads the sub-location stored in the query key of an outlet.
+ * @param {Object} location - Location whose query holds the outlet
+ * @param {string} outlet - Outlet query key
+ * @returns {Object|null} Sub-location with its own pathname and search, or null if the outlet is empty
  * @private
+ *
+ * @example
+ * toOutletLocation({ pathname: "/", search: "?panel=%2Fusers%2F3%3Ftab%3Dbio" }, "panel");
+ * // Returns { pathname: "/users/3", search: "?tab=bio", hash: "", ... }
  */
-const getCurrParams = (pattern) => toParams(history.location, pattern);
+const toOutletLocation = (location, outlet) => {
+  const value = parseQuery(location.search || "")[outlet];
+  return typeof value === "string" && value ? createLocation(value) : null;
+};
 
 /**
- * Converts a destination specification to a parameters object.
- * Handles string URLs, parameter objects, and updater functions.
- * @param {string|Function|Object} to - Destination specification
- * @param {string} [pattern] - URL pattern for pathname parameter extraction
- * @returns {Object} Parameters object
+ * Matches a pathname against a pattern. Segments that don't satisfy the
+ * constraints of their param don't match.
+ * @param {string} pathname - Location pathname
+ * @param {string|Object} [pattern] - URL pattern or pattern object
+ * @returns {Object|null} Coerced pathname params, or null if the pathname doesn't match
+ * @throws {RouteError} "INVALID_PARAM" in strict mode, if a param isn't a valid value of its schema type
  * @private
  */
-const parameterize = (to, pattern) => {
-  if (typeof to === "object") return to;
+export function matchPathname(pathname, pattern) {
+  const parser = getParser(pattern);
+  const path = trimSlashes(pathname);
+  /* The root pathname is trimmed to "", which a "/" pattern doesn't match */
+  const match = parser.match(path) || (path === "" && parser.match("/"));
+  if (!match || findInvalidKeys(match, getConstraints(pattern)).length > 0) {
+    return null;
+  }
 
-  const currParams = getCurrParams(pattern);
-  if (typeof to === "function") return to(currParams);
-  return currParams;
-};
+  const params = coerceParams(getSchema(pattern), match, { pathname: true });
+  const invalidKeys = Object.keys(match).filter(
+    (key) => !isNil(match[key]) && params[key] === undefined
+  );
+  if (invalidKeys.length > 0 && isStrict(pattern)) {
+    const names = invalidKeys.map((key) => `"${key}"`).join(", ");
+    throw new RouteError(
+      "INVALID_PARAM",
+      `Invalid params for pattern "${getPath(pattern)}": ${names}`,
+      { pattern, keys: invalidKeys }
+    );
+  }
+  return params;
+}
 
 /**
- * Converts a parameters object to a URL string.
- * Pathname parameters are formatted according to the pattern,
- * while remaining parameters are added as query string.
- * @param {Object} params - Parameters to stringify
- * @param {string} [pattern] - URL pattern for pathname parameter formatting
- * @returns {string} URL string
+ * Normalizes a basename, removing trailing slashes. "/" becomes "".
+ * @param {string} [basename=""] - Basename, static ("/app") or a pattern ("/:tenant/app")
+ * @returns {string} Normalized basename
  * @private
  */
-function stringify(params, pattern) {
-  const parser = getParser(pattern);
-  const pathnameKeys = parser.names;
-  const pathnameParams = { _: "", ...pick(pathnameKeys, params) };
-
-  const pathname = parser.stringify(pathnameParams) || "/";
-  return qs.stringifyUrl({ url: pathname, query: omit(pathnameKeys, params) });
-}
+export const normalizeBasename = (basename = "") =>
+  basename.replace(/\/+$/, "");
 
 /**
- * Extracts parameters from the pathname portion of a URL.
- * Only parameters matching the pattern are returned.
- *
- * @param {string|Object|null} [arg] - URL string, Location object, or null (defaults to current location)
- * @param {string} [pattern] - URL pattern for extracting pathname parameters (e.g., "/users/:id")
- * @returns {Object} Object containing only pathname parameters
+ * Splits a pathname into the params of its basename and the pathname
+ * relative to the basename. Pathnames outside of the basename are kept as is.
+ * @param {string} pathname - Location pathname
+ * @param {string} basename - Normalized basename
+ * @returns {{baseParams: Object, pathname: string}} Basename params and relative pathname
+ * @private
  *
  * @example
- * // URL: http://example.com/users/123?tab=profile#section=info
- * // Pattern: "/users/:id"
- * toOwnParams(null, "/users/:id"); // Returns { id: "123" }
+ * splitBasename("/acme/app/users/3", "/:tenant/app");
+ * // Returns { baseParams: { tenant: "acme" }, pathname: "/users/3" }
  */
-export function toOwnParams(arg, pattern) {
-  const location = isNil(arg) ? history.location : toLocation(arg);
-  const { pathname } = location;
-  if (!pattern) return {};
-  const parser = getParser(pattern);
+export function splitBasename(pathname, basename) {
+  const match = basename
+    ? getParser(`${basename}(/*)`).match(trimSlashes(pathname))
+    : null;
+  if (!match) return { baseParams: {}, pathname };
 
-  return parser.match(trimSlashes(pathname)) || {};
+  const { _ = "", ...baseParams } = match;
+  return { baseParams, pathname: `/${_}` };
 }
 
 /**
- * Extracts all parameters from a URL including pathname, query string, hash, and state.
- * Parameters are merged with query and hash parameters taking precedence over pathname parameters.
- *
- * @param {string|Object|null} [arg] - URL string, Location object, or null (defaults to current location)
- * @param {string} [pattern] - URL pattern for extracting pathname parameters (e.g., "/users/:id")
- * @returns {Object} Merged object containing all parameters from all sources
- *
- * @example
- * // URL: http://example.com/users/123?tab=profile#section=info
- * // Pattern: "/users/:id"
- * toParams(null, "/users/:id"); // Returns { id: "123", tab: "profile", section: "info" }
+ * Converts a parameters object to a URL string and history state.
+ * Pathname parameters are formatted according to the pattern, parameters
+ * declared in the pattern `hash` and `state` keys go to the hash fragment and
+ * history state, while remaining parameters are added as query string.
+ * Values are serialized according to the pattern schema, and values equal
+ * to their declared default are omitted (unless required by the pathname or
+ * listed in `keep`). The pathname is prefixed with the basename, formatted
+ * with its params.
+ * @param {Object} params - Parameters to stringify
+ * @param {string|Object} [pattern] - URL pattern for pathname parameter formatting
+ * @param {string} [basename=""] - Normalized basename
+ * @param {Array<string>} [keep=[]] - Keys kept even when equal to their default
+ * @returns {{url: string, state: Object|undefined}} URL string and history state
+ * @throws {RouteError} "MISSING_PARAM" if a required param has no value, or
+ *   "INVALID_PARAM" if a pathname param doesn't satisfy its constraint
+ * @private
  */
-export function toParams(arg, pattern) {
-  const location = isNil(arg) ? history.location : toLocation(arg);
-  const { search, hash, state = {} } = location;
+function stringify(params, pattern, basename = "", keep = []) {
+  const baseParser = basename ? getParser(basename) : null;
+  const baseKeys = baseParser ? baseParser.names : [];
+  const baseParams = pick(baseKeys, params);
+  if (baseParser) assertRequiredParams(baseParams, basename);
+  const prefix = baseParser ? baseParser.stringify(baseParams) : "";
+  const parser = getParser(pattern);
+  const schema = getSchema(pattern);
+  const { hash: hashKeys, state: stateKeys } = getTargetKeys(pattern);
+  const pathnameKeys = parser.names;
+  const pathnameParams = {
+    _: "",
+    ...serializeParams(schema, pick(pathnameKeys, params), {
+      pathname: true,
+      keep: [...getRequiredNames(pattern), ...keep],
+    }),
+  };
+
+  const constraints = getConstraints(pattern);
+  const invalidKeys = findInvalidKeys(pathnameParams, constraints);
+  if (invalidKeys.length > 0) {
+    const details = invalidKeys.map(
+      (key) =>
+        `"${key}" (${JSON.stringify(pathnameParams[key])} doesn't match ${
+          constraints[key]
+        })`
+    );
+    throw new RouteError(
+      "INVALID_PARAM",
+      `Invalid params for pattern "${getPath(pattern)}": ${details.join(", ")}`,
+      { pattern, keys: invalidKeys }
+    );
+  }
+  assertRequiredParams(pathnameParams, pattern);
 
-  const pathParams = toOwnParams(arg, pattern);
-  const searchParams = parseQueryOrHash(search);
-  const hashParams = parseQueryOrHash(hash);
+  const ownPathname = parser.stringify(pathnameParams) || "/";
+  const pathname =
+    prefix && ownPathname === "/" ? prefix : `${prefix}${ownPathname}`;
+  const query = serializeParams(
+    schema,
+    omit([...baseKeys, ...pathnameKeys, ...hashKeys, ...stateKeys], params),
+    { keep }
+  );
+  const format = getArrayFormat(pattern);
+  const search = stringifyQuery(query, format);
+  const hash = stringifyQuery(
+    serializeParams(schema, pick(hashKeys, params), { keep }),
+    format
+  );
+  const stateParams = omit(
+    stateKeys.filter((key) => params[key] === undefined),
+    pick(stateKeys, params)
+  );
 
-  return { ...state, ...hashParams, ...searchParams, ...pathParams };
+  return {
+    url: `${pathname}${search && `?${search}`}${hash && `#${hash}`}`,
+    state: stateKeys.length > 0 ? stateParams : undefined,
+  };
 }
 
 /**
- * Converts a destination specification to a URL string.
- * Accepts strings (returned as-is), parameter objects, or updater functions.
+ * Creates the parsing functions bound to a router instance.
+ * Every function reads the current location from `router.history`, and
+ * patterns are matched relative to `router.basename`, or against the sub-path
+ * of their outlet.
  *
- * @param {string|Function|Object} to - Destination specification:
- *   - String: returned as-is
- *   - Object: converted to URL with parameters
- *   - Function: receives current params, returns updated params object
- * @param {string} [pattern] - URL pattern for formatting pathname parameters (e.g., "/users/:id")
- * @returns {string} URL string
- *
- * @example
- * // With string
- * toUrl("/users/123?tab=profile"); // Returns "/users/123?tab=profile"
- *
- * @example
- * // With object
- * toUrl({ id: 123, tab: "profile" }, "/users/:id"); // Returns "/users/123?tab=profile"
- *
- * @example
- * // With updater function
- * toUrl(params => ({ ...params, tab: "settings" }), "/users/:id");
+ * @param {Object} router - Router instance exposing `history`, `basename` and `outlets` properties,
+ *   and `readPersisted`
+ * @returns {{matchLocation: Function, matches: Function, toDestination: Function,
+ *   toOwnParams: Function, toParamSources: Function, toParams: Function, toUrl: Function}}
+ * @private
  */
-export const toUrl = (to, pattern) => {
-  if (typeof to === "string") return to;
+export function createParsing(router) {
+  /**
+   * Gets the raw values of the declared outlets at a location.
+   * @param {Object} location - Location
+   * @returns {Object} Sub-paths by outlet query key
+   * @private
+   */
+  const getOutletValues = (location) => {
+    const query = parseQuery(location.search || "");
+    return pick(
+      router.outlets.filter((outlet) => typeof query[outlet] === "string"),
+      query
+    );
+  };
 
-  const params = parameterize(to, pattern);
-  return stringify(params, pattern);
-};
+  /**
+   * Gets the current parameters from the router's current location.
+   * @param {string} [pattern] - URL pattern for pathname parameter extraction
+   * @param {Object} [location] - Location standing for the current one, e.g. in a batch
+   * @returns {Object} Current parameters
+   * @private
+   */
+  const getCurrParams = (pattern, location = router.history.location) =>
+    toParams(location, pattern);
+
+  /**
+   * Converts a destination specification to a parameters object.
+   * Handles string URLs, parameter objects, and updater functions.
+   * @param {string|Function|Object} to - Destination specification
+   * @param {string} [pattern] - URL pattern for pathname parameter extraction
+   * @param {Object} [location] - Location standing for the current one
+   * @returns {Object} Parameters object
+   * @private
+   */
+  const parameterize = (to, pattern, location) => {
+    if (typeof to === "object") return to;
+
+    const currParams = getCurrParams(pattern, location);
+    if (typeof to === "function") return to(currParams);
+    return currParams;
+  };
+
+  /**
+   * Matches the pathname of a location, relative to the basename, against a pattern.
+   * Outlet patterns are matched against the sub-path of their outlet instead.
+   * @param {Object} location - Location to match
+   * @param {string|Object} [pattern] - URL pattern or pattern object
+   * @returns {Object|null} Basename and pathname params, or null if the pathname doesn't match
+   * @private
+   */
+  function matchLocation(location, pattern) {
+    const outlet = getOutlet(pattern);
+    if (outlet) {
+      const outletLocation = toOutletLocation(location, outlet);
+      return outletLocation && matchPathname(outletLocation.pathname, pattern);
+    }
+
+    const { baseParams, pathname } = splitBasename(
+      location.pathname,
+      router.basename
+    );
+    const params = matchPathname(pathname, pattern);
+    return params ? { ...baseParams, ...params } : null;
+  }
+
+  /**
+   * Extracts parameters from the pathname portion of a URL.
+   * Only parameters matching the pattern are returned, along with the params
+   * of a pattern-based basename (e.g. `tenant` for "/:tenant/app").
+   * An empty object is returned if the pathname doesn't match, unless in strict
+   * mode (see `setStrict`), or use `matches` to tell both cases apart.
+   *
+   * @param {string|Object|null} [arg] - URL string, Location object, or null (defaults to current location)
+   * @param {string|Object} [pattern] - URL pattern for extracting pathname parameters (e.g., "/users/:id"),
+   *   or a `{ path, schema }` pattern object to coerce params to typed values
+   * @returns {Object} Object containing only pathname parameters
+   * @throws {RouteError} In strict mode, "NO_MATCH" if the pathname doesn't match the pattern,
+   *   or "INVALID_PARAM" if a param isn't a valid value of its schema type
+   *
+   * @example
+   * // URL: http://example.com/users/123?tab=profile#section=info
+   * // Pattern: "/users/:id"
+   * toOwnParams(null, "/users/:id"); // Returns { id: "123" }
+   */
+  function toOwnParams(arg, pattern) {
+    const location = isNil(arg) ? router.history.location : toLocation(arg);
+    if (!pattern) {
+      return splitBasename(location.pathname, router.basename).baseParams;
+    }
+
+    const params = matchLocation(location, pattern);
+    if (params) return params;
+    if (isStrict(pattern)) {
+      throw new RouteError(
+        "NO_MATCH",
+        `Pathname "${location.pathname}" doesn't match pattern "${getPath(
+          pattern
+        )}"`,
+        { pattern }
+      );
+    }
+    return {};
+  }
+
+  /**
+   * Checks if the pathname of a URL matches a pattern, including its
+   * constraints. Unlike `toOwnParams`, tells a pattern without params
+   * matching apart from a pattern not matching.
+   *
+   * @param {string|Object|null} [arg] - URL string, Location object, or null (defaults to current location)
+   * @param {string|Object} pattern - URL pattern or pattern object
+   * @returns {boolean} True if the pathname matches the pattern
+   *
+   * @example
+   * // URL: http://example.com/users/new
+   * matches(null, "/users/new"); // Returns true
+   * matches(null, "/users/:id<\\d+>"); // Returns false
+   */
+  function matches(arg, pattern) {
+    const location = isNil(arg) ? router.history.location : toLocation(arg);
+    try {
+      return !!matchLocation(location, pattern);
+    } catch (e) {
+      if (e instanceof RouteError) return false;
+      throw e;
+    }
+  }
+
+  /**
+   * Parses the params of a location by source, without defaults nor persisted values.
+   * @param {Object} location - Location to parse
+   * @param {string|Object} [pattern] - URL pattern or pattern object
+   * @returns {{pathname: Object, query: Object, hash: Object, state: Object}} Params by source
+   * @throws {RouteError} In strict mode, if the pathname doesn't match the pattern
+   * @private
+   */
+  function toParamSources(location, pattern) {
+    /* Outlet params only come from the sub-path of the outlet, while the
+     * query keys of outlets are hidden from main params */
+    const outlet = getOutlet(pattern);
+    const { search, hash, state = {} } = outlet
+      ? toOutletLocation(location, outlet) || { search: "", hash: "" }
+      : location;
+    const hiddenKeys = outlet ? [] : router.outlets;
+
+    return {
+      pathname: toOwnParams(location, pattern),
+      query: scopeQuery(
+        omit(hiddenKeys, parseQueryOrHash(search, pattern)),
+        pattern
+      ),
+      hash: parseQueryOrHash(hash, pattern),
+      state: coerceParams(getSchema(pattern), state || {}),
+    };
+  }
+
+  /**
+   * Extracts all parameters from a URL including pathname, query string, hash, and state.
+   * Parameters are merged with query and hash parameters taking precedence over pathname parameters.
+   *
+   * @param {string|Object|null} [arg] - URL string, Location object, or null (defaults to current location)
+   * @param {string|Object} [pattern] - URL pattern for extracting pathname parameters (e.g., "/users/:id"),
+   *   or a `{ path, schema }` pattern object to coerce params to typed values and fill in defaults
+   *   (a `query` key keeps only the query params it lists)
+   * @returns {Object} Merged object containing all parameters from all sources
+   * @throws {RouteError} In strict mode, if the pathname doesn't match the pattern (see `toOwnParams`)
+   *
+   * @example
+   * // URL: http://example.com/users/123?tab=profile#section=info
+   * // Pattern: "/users/:id"
+   * toParams(null, "/users/:id"); // Returns { id: "123", tab: "profile", section: "info" }
+   *
+   * @example
+   * // URL: http://example.com/users/007?q=123
+   * toParams(null, { path: "/users/:id", schema: { id: "int", q: "string" } });
+   * // Returns { id: 7, q: "123" }
+   *
+   * @example
+   * // URL: http://example.com/users/7?tab=bio&sort=asc
+   * toParams(null, { path: "/users/:id", query: ["tab"] });
+   * // Returns { id: "7", tab: "bio" }
+   */
+  function toParams(arg, pattern) {
+    const location = isNil(arg) ? router.history.location : toLocation(arg);
+    const sources = toParamSources(location, pattern);
+
+    return withDefaults(getSchema(pattern), {
+      ...router.readPersisted(pattern),
+      ...sources.state,
+      ...sources.hash,
+      ...sources.query,
+      ...sources.pathname,
+    });
+  }
+
+  /**
+   * Converts a destination specification to a URL string and history state.
+   * Strings are returned as-is, without state. Params of a pattern-based
+   * basename and open outlets missing from the destination are kept from the
+   * current location.
+   * The current location is only read when needed (a basename, declared
+   * outlets, an outlet pattern or an updater function), so params objects can
+   * be converted without a history, e.g. when rendering on the server.
+   * @param {string|Function|Object} to - Destination specification
+   * @param {string|Object} [pattern] - URL pattern or pattern object
+   * @param {Object} [location] - Location standing for the current one, to resolve
+   *   several navigations in a row before writing any of them
+   * @returns {{url: string, state: Object|undefined}} URL string and history state
+   * @private
+   */
+  const toDestination = (to, pattern, location) => {
+    if (typeof to === "string") return { url: to, state: undefined };
+    const getLocation = () => location || router.history.location;
+    const outlet = getOutlet(pattern);
+    if (outlet) return toOutletDestination(to, pattern, outlet, getLocation());
+
+    const { basename } = router;
+    const current =
+      basename || router.outlets.length > 0 || typeof to !== "object"
+        ? getLocation()
+        : null;
+    const { route, ...params } = {
+      ...(current && splitBasename(current.pathname, basename).baseParams),
+      ...(current && getOutletValues(current)),
+      ...parameterize(to, pattern, current || undefined),
+    };
+    const routePattern = router.routes && router.routes.get(route);
+    const target = routePattern || pattern;
+    const targetParams =
+      routePattern || isNil(route) ? params : { route, ...params };
+    /* Values equal to their default override a persisted value, so they stay in the URL */
+    const keep = Object.keys(router.readPersisted(target));
+    return stringify(targetParams, target, basename, keep);
+  };
+
+  /**
+   * Converts a destination of an outlet pattern to a URL string and history
+   * state. The sub-path built from the params is written to the query key of
+   * the outlet, keeping the rest of the current location as is, or the key is
+   * removed to close the outlet.
+   * @param {Function|Object|null} to - Destination specification, or null to close the outlet
+   * @param {Object} pattern - Outlet pattern object
+   * @param {string} outlet - Outlet query key
+   * @param {Object} location - Location standing for the current one
+   * @returns {{url: string, state: Object|undefined}} URL string and history state
+   * @private
+   */
+  function toOutletDestination(to, pattern, outlet, location) {
+    const keep = Object.keys(router.readPersisted(pattern));
+    const value =
+      to === null
+        ? undefined
+        : stringify(parameterize(to, pattern, location), pattern, "", keep).url;
+
+    /* Other params are kept as written, in whatever array format their pattern uses */
+    const search = setQueryValue(location.search || "", outlet, value);
+    return {
+      url: `${location.pathname}${search && `?${search}`}${
+        location.hash || ""
+      }`,
+      state: location.state,
+    };
+  }
+
+  /**
+   * Converts a destination specification to a URL string.
+   * Accepts strings (returned as-is), parameter objects, or updater functions.
+   *
+   * @param {string|Function|Object} to - Destination specification:
+   *   - String: returned as-is, as a full URL including the basename
+   *   - Object: converted to URL with parameters. A `route` key naming a route
+   *     of the route table is replaced by that route's pattern
+   *   - Function: receives current params, returns updated params object
+   *   - null: with an outlet pattern, closes the outlet
+   * @param {string|Object} [pattern] - URL pattern for formatting pathname parameters (e.g., "/users/:id"),
+   *   or a `{ path, schema, hash }` pattern object to serialize typed values, omit defaults
+   *   and write `hash` keys to the hash fragment. `state` keys are left out (see `navigate`)
+   * @returns {string} URL string
+   * @throws {RouteError} "MISSING_PARAM" if a required pathname param has no value, or
+   *   "INVALID_PARAM" if a pathname param doesn't satisfy its constraint
+   *
+   * @example
+   * // With string
+   * toUrl("/users/123?tab=profile"); // Returns "/users/123?tab=profile"
+   *
+   * @example
+   * // With object
+   * toUrl({ id: 123, tab: "profile" }, "/users/:id"); // Returns "/users/123?tab=profile"
+   *
+   * @example
+   * // With updater function
+   * toUrl(params => ({ ...params, tab: "settings" }), "/users/:id");
+   *
+   * @example
+   * // With a named route (see `defineRoutes`)
+   * toUrl({ route: "userDetail", id: 5 }); // Returns "/users/5"
+   *
+   * @example
+   * // With hash params
+   * toUrl({ id: 5, section: "info" }, { path: "/users/:id", hash: ["section"] });
+   * // Returns "/users/5#section=info"
+   *
+   * @example
+   * // With an outlet: the sub-path is written to the "panel" query key
+   * toUrl({ id: 3 }, { path: "/users/:id/activity", outlet: "panel" });
+   * // Returns "/dashboard?panel=%2Fusers%2F3%2Factivity" on /dashboard
+   */
+  const toUrl = (to, pattern) => toDestination(to, pattern).url;
+
+  return {
+    matchLocation,
+    matches,
+    toDestination,
+    toOwnParams,
+    toParamSources,
+    toParams,
+    toUrl,
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * @module persistence
+ * @description Persisted param values.
+ * Remembers the params a schema declares with `persist: "local"` or
+ * `persist: "session"` in the browser storage, so they survive sessions while
+ * staying shareable via URL: values in the URL win and are written back on
+ * navigation, while stored values fill in params missing from the URL.
+ * Values are stored by pattern path, so patterns don't share params of the same name.
+ */
+
+import { getPath, getSchema } from "./router";
+import { coerceParams, getPersistedKeys, serializeParams } from "./schema";
+import { getBrowserStorage, readStorage, writeStorage } from "./util";
+
+/** @constant {string} STORAGE_KEY - Storage key of the persisted params */
+const STORAGE_KEY = "params-router:params";
+
+/**
+ * Creates the persistence functions bound to a router instance.
+ * Patterns with persisted params are registered when read, then the params
+ * of each location navigated to are written back for the ones it matches.
+ *
+ * @param {Object} router - Router instance exposing `storage`, `history`, `matches`
+ *   and `toParamSources`
+ * @returns {{readPersisted: Function, watchPersisted: Function}}
+ * @private
+ */
+export function createPersistence(router) {
+  /** @type {Map<string, string|Object>} Patterns with persisted params, by path */
+  const patterns = new Map();
+
+  /**
+   * Gets the storage of a `persist` value, either injected with
+   * `configureStorage` or the browser's one.
+   * @param {string} persist - "local" or "session"
+   * @returns {Storage|null} Storage, if available
+   * @private
+   */
+  const getStorage = (persist) =>
+    (router.storage && router.storage[persist]) || getBrowserStorage(persist);
+
+  /**
+   * Reads the persisted values of the params of a pattern, and registers the
+   * pattern so its params are written back on navigation. Reading doesn't
+   * create the history, so explicit URLs can be parsed without one.
+   * @param {string|Object} [pattern] - URL pattern or pattern object
+   * @returns {Object} Typed persisted values, by param name
+   * @private
+   */
+  function readPersisted(pattern) {
+    const schema = getSchema(pattern);
+    const keys = getPersistedKeys(schema);
+    if (keys.length < 1) return {};
+
+    const path = getPath(pattern);
+    patterns.set(path, pattern);
+
+    const raw = Object.fromEntries(
+      keys.map(([key, persist]) => [
+        key,
+        (readStorage(getStorage(persist), STORAGE_KEY)[path] || {})[key],
+      ])
+    );
+    return coerceParams(schema, raw);
+  }
+
+  /**
+   * Writes the values of the persisted params of a pattern, read from a
+   * location. Values equal to their default are removed from the storage,
+   * while missing params keep their persisted value.
+   * @param {string|Object} pattern - URL pattern or pattern object
+   * @param {Object} location - Location navigated to, matching the pattern
+   * @private
+   */
+  function persistParams(pattern, location) {
+    const schema = getSchema(pattern);
+    const path = getPath(pattern);
+    const sources = router.toParamSources(location, pattern);
+    const params = {
+      ...sources.state,
+      ...sources.hash,
+      ...sources.query,
+      ...sources.pathname,
+    };
+
+    getPersistedKeys(schema)
+      .filter(([key]) => params[key] !== undefined)
+      .forEach(([key, persist]) => {
+        const storage = getStorage(persist);
+        const values = readStorage(storage, STORAGE_KEY);
+        const own = values[path] || {};
+        const value = serializeParams(schema, { [key]: params[key] })[key];
+        if (JSON.stringify(value) === JSON.stringify(own[key])) return;
+
+        const { [key]: prev, ...rest } = own;
+        values[path] = value === undefined ? rest : { ...rest, [key]: value };
+        writeStorage(storage, STORAGE_KEY, values);
+      });
+  }
+
+  /**
+   * Listens to a history of the router once created, writing back the
+   * persisted params of each location navigated to (including back/forward)
+   * for the registered patterns it matches, until the history is replaced.
+   * @param {Object} history - History of the router
+   * @private
+   */
+  function watchPersisted(history) {
+    history.listen((location) => {
+      if (router.history !== history) return;
+      patterns.forEach((pattern) => {
+        if (router.matches(location, pattern)) persistParams(pattern, location);
+      });
+    });
+  }
+
+  return { readPersisted, watchPersisted };
+}
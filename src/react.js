@@ -0,0 +1,201 @@
+/**
+ * @module react
+ * @description React bindings, exposed as the `params-router/react` entry point.
+ *
+ * Provides hooks subscribing components to the router history, a `useRoutable`
+ * hook mirroring the hierarchical Svelte `routable` store through React context,
+ * and a `Link` component rendering a real `href`.
+ *
+ * @example
+ * // Parent component: /admin/:adminId
+ * function Admin() {
+ *   const admin = useRoutable("/admin/:adminId");
+ *   return (
+ *     <RoutableProvider value={admin}>
+ *       <Users />
+ *     </RoutableProvider>
+ *   );
+ * }
+ *
+ * @example
+ * // Child component: pattern combined with the parent's, /admin/:adminId/users/:userId
+ * function Users() {
+ *   const users = useRoutable("/users/:userId");
+ *   return <Link to={{ userId: 3 }}>User {users.params.userId}</Link>;
+ * }
+ */
+
+import {
+  createContext,
+  createElement,
+  useContext,
+  useMemo,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import * as defaultRouter from "params-router/core";
+import { ROOT_LEVEL, toLevel, toOwnLevel } from "./nesting";
+import { isEqual, isNavigationClick } from "./util";
+
+/**
+ * Context holding the router used by the hooks and the current `useRoutable` level.
+ * @type {import('react').Context}
+ * @private
+ */
+const RouterContext = createContext({ router: defaultRouter, level: null });
+
+/**
+ * Provides a router to the hooks and links of a component tree.
+ * Without a provider, the default router of the package is used.
+ *
+ * @param {Object} props
+ * @param {Object} props.router - Router created with `createRouter`
+ * @param {*} props.children - Children
+ * @returns {import('react').ReactElement}
+ *
+ * @example
+ * const router = createRouter({ history: "memory" });
+ * <RouterProvider router={router}><App /></RouterProvider>
+ */
+export function RouterProvider({ router = defaultRouter, children }) {
+  const value = useMemo(() => ({ router, level: null }), [router]);
+  return createElement(RouterContext.Provider, { value }, children);
+}
+
+/**
+ * Provides a `useRoutable` level to a component tree, so that nested
+ * `useRoutable` calls and links combine their pattern with it.
+ *
+ * @param {Object} props
+ * @param {Object} props.value - Value returned by `useRoutable`
+ * @param {*} props.children - Children
+ * @returns {import('react').ReactElement}
+ */
+export function RoutableProvider({ value: level, children }) {
+  const { router } = useContext(RouterContext);
+  const value = useMemo(() => ({ router, level }), [router, level]);
+  return createElement(RouterContext.Provider, { value }, children);
+}
+
+/**
+ * Gets the router of the closest `RouterProvider`, or the default router.
+ * @returns {Object} Router
+ */
+export function useRouter() {
+  return useContext(RouterContext).router;
+}
+
+/**
+ * Subscribes a component to the router location.
+ * @returns {Object} Current location `{ pathname, search, hash, state, key }`
+ *
+ * @example
+ * const { pathname } = useLocation();
+ */
+export function useLocation() {
+  const router = useRouter();
+  const subscribe = useMemo(
+    () => (onChange) => router.trackLocation(onChange),
+    [router]
+  );
+  const getLocation = () => router.history.location;
+  return useSyncExternalStore(subscribe, getLocation, getLocation);
+}
+
+/**
+ * Subscribes a component to the params of a pattern, built on `trackParams`.
+ * The component only re-renders when the (selected) params change.
+ * Pattern objects and options should be hoisted or memoized, since new ones
+ * renew the subscription.
+ *
+ * @param {string|Object} [pattern] - URL pattern or pattern object
+ * @param {Object} [options] - `trackParams` options (`keys`, `equals`)
+ * @returns {Object} Current params
+ *
+ * @example
+ * const { id, tab } = useParams("/users/:id");
+ */
+export function useParams(pattern, options) {
+  const router = useRouter();
+  const store = useMemo(() => {
+    let params = router.toParams(null, pattern);
+    return {
+      getParams: () => params,
+      subscribe: (onChange) =>
+        router.trackParams(
+          (next) => {
+            if (isEqual(next, params)) return;
+            params = next;
+            onChange();
+          },
+          pattern,
+          options
+        ),
+    };
+  }, [router, pattern, options]);
+  return useSyncExternalStore(
+    store.subscribe,
+    store.getParams,
+    store.getParams
+  );
+}
+
+/**
+ * Creates a hierarchical router level, the React equivalent of the Svelte
+ * `routable` store. The pattern is combined with the one of the closest
+ * `RoutableProvider`, so components don't need to know where they're used.
+ * Like `routable`, the pattern is read once, when the component mounts.
+ *
+ * @param {string|Object} [stringOrOptions=""] - Route pattern or configuration
+ *   (`path`, `params`, `schema`, `hash`, `state`, `query` and `outlet`, as for `routable`)
+ * @returns {Object} Level `{ goTo, href, isActive, ownPattern, params, parent, pattern,
+ *   keptParams, rootParams, rootPattern, route, schema, rest }`
+ *
+ * @example
+ * const { params, goTo, href } = useRoutable({ path: "/users/:id", schema: { id: "int" } });
+ */
+export function useRoutable(stringOrOptions = "") {
+  const { router, level: parent = null } = useContext(RouterContext);
+  const [own] = useState(() => toOwnLevel(stringOrOptions));
+  const location = useLocation();
+
+  return useMemo(() => toLevel(router, parent || ROOT_LEVEL, own, location), [
+    router,
+    parent,
+    own,
+    location,
+  ]);
+}
+
+/**
+ * Link navigating client-side, with a real `href` for accessibility, "open in
+ * new tab" and crawlers. Inside a `RoutableProvider`, object destinations are
+ * merged with the params of parent levels, unless a `pattern` is given.
+ *
+ * @param {Object} props - Anchor props, plus:
+ * @param {string|Object|Function} props.to - Destination, as for `navigate`
+ * @param {string|Object} [props.pattern] - URL pattern of the destination
+ * @param {boolean} [props.replace] - Replace the history entry instead of pushing
+ * @param {*} [props.scroll] - Scroll override, as for `navigate`
+ * @returns {import('react').ReactElement}
+ *
+ * @example
+ * <Link to={{ id: 3, tab: "profile" }} pattern="/users/:id" replace>Profile</Link>
+ */
+export function Link({ to = "", pattern, replace, scroll, onClick, ...props }) {
+  const { router, level } = useContext(RouterContext);
+  useLocation(); // Updates the `href` of updater functions
+  const inLevel = !!level && pattern === undefined;
+  const href = inLevel ? level.href(to) : router.toUrl(to, pattern);
+
+  const handleClick = (e) => {
+    if (onClick) onClick(e);
+    if (!isNavigationClick(e, props.target)) return;
+
+    e.preventDefault();
+    if (inLevel) level.goTo(to, { replace, scroll });
+    else router.navigate(to, { pattern, replace, scroll });
+  };
+
+  return createElement("a", { ...props, href, onClick: handleClick });
+}
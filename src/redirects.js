@@ -0,0 +1,167 @@
+/**
+ * @module redirects
+ * @description Declarative redirects.
+ * Maps legacy patterns to new destinations before listeners see the location,
+ * so subscribers never receive a location that is about to be redirected.
+ */
+
+import { createLocation, createPath } from "./history";
+import { getParser } from "./router";
+import { pick } from "./util";
+
+/** @constant {number} MAX_REDIRECTS - Maximum length of a redirect chain, declared or from guards */
+export const MAX_REDIRECTS = 10;
+
+/**
+ * Creates the redirect functions bound to a router instance.
+ *
+ * @param {Object} router - Router instance exposing `history`, `matches`, `toParams` and `toUrl`
+ * @returns {{redirect: Function, resolveRedirect: Function, applyRedirect: Function,
+ *   isRedirecting: Function, listen: Function}}
+ * @private
+ */
+export function createRedirects(router) {
+  /** @type {Array<Object>} Registered redirect rules, in registration order */
+  const rules = [];
+
+  /** @type {Function|null} Removes the history listener applying redirects, when installed */
+  let unlisten = null;
+
+  /** @type {boolean} Whether a redirect is being written to the history */
+  let redirecting = false;
+
+  /**
+   * Resolves the destination URL of a location matching a redirect rule.
+   * @param {Object} rule - Redirect rule
+   * @param {Object} location - Matching location
+   * @returns {string} Destination URL
+   * @private
+   */
+  function resolveRule({ from, to, map }, location) {
+    const params = router.toParams(location, from);
+    if (typeof to === "function") return router.toUrl(to(params));
+
+    /* Only pathname params (and the catch-all remainder, if the destination
+     * has one too) are carried by name. The query string and hash are kept
+     * as-is, while the history state stays in the location */
+    const pathParams = pick(getParser(to).names, map(params));
+    const { pathname } = createLocation(router.toUrl(pathParams, to));
+    return `${pathname}${location.search || ""}${location.hash || ""}`;
+  }
+
+  /**
+   * Follows the redirect rules from a location.
+   *
+   * @param {Object} location - Location to resolve
+   * @returns {string|null} Final destination URL, or null if the location isn't redirected
+   * @throws {Error} If the redirects loop or chain more than `MAX_REDIRECTS` times
+   * @private
+   */
+  function resolveRedirect(location) {
+    const visited = [createPath(location)];
+    let current = location;
+    let url = null;
+
+    for (;;) {
+      const rule = rules.find(({ from }) => router.matches(current, from));
+      if (!rule) return url;
+
+      url = resolveRule(rule, current);
+      if (visited.includes(url) || visited.length > MAX_REDIRECTS) {
+        throw new Error(
+          `Redirect loop detected: ${[...visited, url].join(" -> ")}`
+        );
+      }
+      visited.push(url);
+      current = createLocation(url, undefined, undefined, current);
+    }
+  }
+
+  /**
+   * Replaces the current location with its redirect destination, if any.
+   * History state is kept.
+   * @returns {boolean} True if the location was redirected
+   * @private
+   */
+  function applyRedirect() {
+    const { location } = router.history;
+    const url = rules.length > 0 ? resolveRedirect(location) : null;
+    if (!url) return false;
+
+    redirecting = true;
+    try {
+      router.history.replace(url, location.state);
+    } finally {
+      redirecting = false;
+    }
+    return true;
+  }
+
+  /**
+   * Checks if a declared redirect is being written to the history, so the
+   * resulting history change isn't mistaken for a navigation of its own.
+   * @returns {boolean} True while a redirect is written
+   * @private
+   */
+  const isRedirecting = () => redirecting;
+
+  /**
+   * Subscribes to history changes, skipping locations that are redirected.
+   * Listeners are only notified of the redirect destination.
+   *
+   * @param {Function} fn - Receives `(location, action)`
+   * @returns {Function} Unsubscribe function
+   * @private
+   */
+  function listen(fn) {
+    return router.history.listen((location, action) => {
+      if (rules.length > 0 && resolveRedirect(location)) return;
+      fn(location, action);
+    });
+  }
+
+  /**
+   * Declares a redirect from a pattern to another destination.
+   * Applied when navigating, on back/forward and on the initial location,
+   * before any listener (`trackLocation`, `trackParams`, `routable`) sees it.
+   *
+   * @param {string|Object} from - Pattern (or pattern object) to redirect from
+   * @param {string|Object|Function} to - Either:
+   *   - String/Object: pattern (or pattern object) to redirect to. Pathname params
+   *     are carried across by name, while the query string, hash and state are kept.
+   *   - Function: receives the params parsed with `from`, returns a destination
+   *     (URL string, or params object, possibly with a `route` name)
+   * @param {Function} [map] - Maps the params parsed with `from` to the pathname
+   *   params stringified with `to`, when `to` is a pattern
+   * @returns {Function} Function removing the redirect
+   *
+   * @example
+   * redirect("/u/:id", "/users/:id"); // /u/3?tab=x -> /users/3?tab=x
+   *
+   * @example
+   * redirect("/profile/:userId", "/users/:id", ({ userId }) => ({ id: userId }));
+   *
+   * @example
+   * redirect("/old-users/:id", ({ id }) => ({ route: "userDetail", id }));
+   */
+  function redirect(from, to, map = (params) => params) {
+    const rule = { from, to, map };
+    rules.push(rule);
+
+    if (!unlisten) {
+      unlisten = router.history.listen(applyRedirect);
+      applyRedirect();
+    }
+
+    return () => {
+      const index = rules.indexOf(rule);
+      if (index >= 0) rules.splice(index, 1);
+      if (rules.length < 1 && unlisten) {
+        unlisten();
+        unlisten = null;
+      }
+    };
+  }
+
+  return { applyRedirect, isRedirecting, listen, redirect, resolveRedirect };
+}
@@ -29,189 +29,178 @@
  * - **params**: Current parameters at this level
  * - **goTo()**: Navigate while preserving parent parameters
  * - **href()**: Generate href while preserving full path
+ * - **isActive()**: Check if a destination is the current location, updated reactively
  * - **pattern**: Combined pattern (parent + own)
  * - **rootParams**: Parameters from parent level
+ * - **title**: Title of the level, listed by the `breadcrumbs` store
  */
 
 import { getContext, setContext } from "svelte";
-import { derived, readable } from "svelte/store";
-import { history } from "./history";
-import { toOwnParams, toParams, toUrl } from "./parsing";
-import { navigate } from "./navigation";
+import { readable } from "svelte/store";
+import { createLoadRunner } from "./loading";
+import { isEqual } from "./util";
 
-const CONTEXT_NAME = "routable";
+/**
+ * Svelte context key of the router provided with `provideRouter`, shared by all routers.
+ * @private
+ */
+const ROUTER_CONTEXT_KEY = {};
 
 /**
- * Creates a hierarchical router store for Svelte components.
+ * Provides a router to the `routable` stores of a component tree, which then
+ * use it instead of the router they were created from. Must be called during
+ * component initialization, typically in the root component.
  *
- * Automatically detects parent router context and combines patterns, enabling
- * nested routing where child components are unaware of their position in the
- * component tree.
+ * Mainly used for server-side rendering, with a router created per request by
+ * `createServerRouter`. Does nothing without a router, so the same root
+ * component uses the default router on the client.
  *
- * Compatible with Svelte 3, 4, and 5.
- *
- * @param {string|Object} [stringOrOptions=""] - Route pattern or configuration:
- *   - string: URL pattern (e.g., "/users/:id/posts/:postId")
- *   - object: {params: ["id", "postId"]} - generates pattern from param names
- * @returns {import('svelte/store').Readable} Reactive store containing router state
+ * @param {Object} [router] - Router created with `createRouter` or `createServerRouter`
  *
  * @example
- * // Simple pattern
- * const router = routable('/products/:productId');
- *
- * @example
- * // Using params array
- * const router = routable({ params: ['id', 'tab'] });
- * // Generates pattern: (/:id)(/:tab)
- *
- * @throws {Error} If Svelte context is not available (must be called in component init)
+ * // App.svelte
+ * <script>
+ *   import { provideRouter } from "params-router";
+ *   export let router = undefined;
+ *   provideRouter(router);
+ * </script>
  */
-export function routable(stringOrOptions = "") {
-  const ownPattern = toPattern(stringOrOptions);
+export function provideRouter(router) {
+  if (router) setContext(ROUTER_CONTEXT_KEY, router);
+}
 
-  // Get parent router context, or create root context with browser history
-  const { location: loc_, router: parent_ } = getContext(CONTEXT_NAME) || {
-    location: readable(history.location, history.listen),
-    router: readable({
-      ownPattern: "",
-      rootPattern: "",
-    }),
-  };
+/**
+ * Creates the `routable` store factory bound to a router instance.
+ * Each router uses its own Svelte context key, so nested stores only inherit
+ * from parents created by the same router.
+ *
+ * @param {Object} router - Router instance exposing `history` and `createNestedRouter`
+ * @returns {{routable: Function}}
+ * @private
+ */
+export function createRoutable(router) {
+  /** Svelte context key shared by the stores of this router. */
+  const contextKey = {};
 
   /**
-   * Derived store that combines parent and own patterns to create the full routing context.
-   * Reactively updates whenever location or parent router changes.
+   * Creates a hierarchical router store for Svelte components.
+   *
+   * Automatically detects parent router context and combines patterns, enabling
+   * nested routing where child components are unaware of their position in the
+   * component tree.
+   *
+   * Compatible with Svelte 3, 4, and 5.
+   * Uses the router provided with `provideRouter`, if any.
+   *
+   * @param {string|Object} [stringOrOptions=""] - Route pattern or configuration:
+   *   - string: URL pattern (e.g., "/users/:id/posts/:postId")
+   *   - object: {params: ["id", "postId"]} - generates pattern from param names
+   *   - object: {path: "/users/:id"} - uses the given pattern
+   *   - object: {schema: {id: "int"}} - params schema (with `path` or `params`),
+   *     merged with the schemas of parent levels
+   *   - object: {hash: ["section"], state: ["draft"]} - keys written to the hash
+   *     fragment and history state, added to the ones of parent levels
+   *   - object: {query: ["tab"]} - query keys owned by the level, added to the ones of
+   *     parent levels. Other query params are left out of `params` and dropped by updaters
+   *   - object: {load: ({ params, signal }) => ...} - loader run each time the
+   *     params change, adding its `status`, `data` and `error` to the store
+   * @param {Object} [options]
+   * @param {string} [options.outlet] - Named outlet: query key holding the sub-path matched
+   *   by this level and its children, instead of the pathname, so that independent
+   *   route trees (e.g. a side panel or a modal) live in one URL. Also accepted in the configuration
+   * @param {string|Function} [options.title] - Title of this level in `breadcrumbs`, or function
+   *   of its params returning it, exposed as `title` in the store. Also accepted in the configuration
+   * @returns {import('svelte/store').Readable} Reactive store containing router state
+   *
+   * @example
+   * // Simple pattern
+   * const router = routable('/products/:productId');
+   *
+   * @example
+   * // Using params array
+   * const router = routable({ params: ['id', 'tab'] });
+   * // Generates pattern: (/:id)(/:tab)
+   *
+   * @example
+   * // With typed params
+   * const router = routable({ path: '/users/:id', schema: { id: 'int' } });
+   *
+   * @example
+   * // With a data loader: $router.status is "loading", "ready" or "error"
+   * const router = routable({
+   *   path: '/users/:id',
+   *   load: ({ params, signal }) => fetch(`/api/users/${params.id}`, { signal }).then((res) => res.json()),
+   * });
+   *
+   * @example
+   * // Side panel, in the "panel" query key: /dashboard?panel=%2Fusers%2F3%2Factivity
+   * const panelRouter = routable('/users/:id', { outlet: 'panel' });
+   * // $panelRouter.params: { id: "3" }, $panelRouter.rest: "/activity"
+   *
+   * @example
+   * // Breadcrumb title: $breadcrumbs ends with { title: "User 3", href: "/users/3", ... }
+   * const router = routable('/users/:id', { title: (params) => `User ${params.id}` });
+   *
+   * @throws {Error} If Svelte context is not available (must be called in component init)
    */
-  const router = derived([loc_, parent_], ([loc, parent]) => {
-    // Combine parent's root pattern with this router's own pattern
-    const rootPattern = [parent.rootPattern, ownPattern].join("");
-    const pattern = `${rootPattern}(*)`;
-
-    // Extract parameters: own params (excluding catch-all) and parent's root params
-    const { _: rest = "", ...params } = toParams(loc, pattern);
-    const { _, ...rootParams } = toOwnParams(loc, `${rootPattern}(*)`);
-
-    return {
-      /**
-       * Navigate to a destination, automatically preserving parent parameters.
-       *
-       * @param {string|Object|Function} to - Destination:
-       *   - string: URL to navigate to
-       *   - object: parameters to navigate to (merged with parent params)
-       *   - function: receives current params, returns updated params
-       * @param {Object} [options] - Navigation options
-       * @param {boolean} [options.replace] - Replace history instead of push
-       *
-       * @example
-       * $router.goTo({ userId: 123, tab: 'profile' });
-       *
-       * @example
-       * $router.goTo(params => ({ ...params, page: 2 }));
-       */
-      goTo: (to, options) => {
-        // Merge parent's root parameters with navigation argument
-        const navArg =
-          typeof to === "object" ? { ...parent.rootParams, ...to } : to;
-        navigate(navArg, { pattern, ...options });
-      },
-
-      /**
-       * Generate an href for a link, automatically including all parent and own parameters.
-       *
-       * @param {string|Object|Function} arg - Href specification:
-       *   - string: returned as-is (for absolute URLs)
-       *   - object: parameters to generate href from
-       *   - function: receives merged params, returns updated params
-       * @returns {string} Complete href with all parameters
-       *
-       * @example
-       * <a href={$router.href({userId: 456})}>Go to user</a>
-       *
-       * @example
-       * <a href={$router.href(params => ({...params, sort: 'asc'}))}>Sort ascending</a>
-       */
-      href: (arg) => {
-        const toHref = {
-          function: (fn) => {
-            const allParams = { ...parent.rootParams, ...params };
-            return toUrl(fn(allParams), pattern);
-          },
-
-          object: (newParams) => {
-            return toUrl({ ...parent.rootParams, ...newParams }, pattern);
-          },
-        }[typeof arg];
-
-        return toHref ? toHref(arg) : arg;
-      },
-
-      /**
-       * The URL pattern for this router level (without parent patterns).
-       * @type {string}
-       */
-      ownPattern,
-
-      /**
-       * Parameters extracted at this router level (excludes parent parameters).
-       * @type {Object}
-       */
-      params,
-
-      /**
-       * Parent router state. Access parent's params via rootParams or parent.params.
-       * Enables multi-level routing inspection.
-       * @type {Object}
-       */
-      parent,
-
-      /**
-       * Complete combined pattern including all parent patterns.
-       * @type {string}
-       */
-      pattern,
-
-      /**
-       * Parameters extracted at the parent level of this router.
-       * Useful when you need to reference parent route parameters.
-       * @type {Object}
-       */
-      rootParams,
-
-      /**
-       * Complete root pattern combining all ancestor patterns up to this level.
-       * @type {string}
-       */
-      rootPattern,
-
-      /**
-       * Catch-all remainder of the URL not matched by the pattern.
-       * Useful for further nested routing or detecting unmatched path segments.
-       * @type {string}
-       */
-      rest,
-    };
-  });
-
-  // Store this router's context for child components to access
-  setContext(CONTEXT_NAME, { location: loc_, router });
-
-  return router;
+  function routable(stringOrOptions = "", { outlet, title } = {}) {
+    const provided = getContext(ROUTER_CONTEXT_KEY);
+    if (provided && provided !== router) {
+      return provided.routable(stringOrOptions, { outlet, title });
+    }
+
+    const { load } = typeof stringOrOptions === "object" ? stringOrOptions : {};
+
+    // Combine with the parent router from the context, if any
+    const nested = router.createNestedRouter(stringOrOptions, {
+      parent: getContext(contextKey),
+      outlet,
+      title,
+    });
+
+    // Store this router for child components to combine with
+    setContext(contextKey, nested);
+
+    const store = readable(undefined, (set) => nested.subscribe(set));
+    return load
+      ? withLoader(store, load, () => router.history.location)
+      : store;
+  }
+
+  return { routable };
 }
 
 /**
- * Converts a string or configuration object into a URL pattern.
+ * Wraps a routable store to run a loader each time its params change.
+ * Adds the loader `status`, `data` and `error` to the store value. Each level
+ * of the hierarchy runs its own loader, so nested loaders run in parallel.
  *
- * @param {string|Object} stringOrOptions - Pattern or config
- * @returns {string} Formatted URL pattern
+ * @param {import('svelte/store').Readable} store - Routable store
+ * @param {Function} load - Loader receiving `{ params, location, signal }`
+ * @param {Function} getLocation - Returns the current location
+ * @returns {import('svelte/store').Readable} Store with loader state
  * @private
- *
- * @example
- * toPattern("/users/:id"); // Returns "/users/:id"
- * toPattern({params: ["id", "tab"]}); // Returns "(/:id)(/:tab)"
  */
-function toPattern(stringOrOptions) {
-  if (typeof stringOrOptions === "string") return stringOrOptions;
-  const { params = [] } = stringOrOptions;
-  if (params.length < 1) return "";
-  return params.map((param) => `(/:${param})`).join("");
+function withLoader(store, load, getLocation) {
+  return readable(undefined, (set) => {
+    let value;
+    const runner = createLoadRunner(load, (state) =>
+      set({ ...value, ...state })
+    );
+
+    const unsubscribe = store.subscribe((nextValue) => {
+      const prevValue = value;
+      value = nextValue;
+      if (prevValue && isEqual(prevValue.params, nextValue.params)) {
+        set({ ...value, ...runner.state });
+      } else {
+        runner.run(nextValue.params, getLocation());
+      }
+    });
+
+    return () => {
+      unsubscribe();
+      runner.abort();
+    };
+  });
 }
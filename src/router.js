@@ -6,26 +6,77 @@
  */
 
 import UrlPattern from "url-pattern";
+import { assertArrayFormat } from "./encoding";
 
 /** @constant {string} DEFAULT_PATTERN - Default catch-all URL pattern */
 const DEFAULT_PATTERN = "(*)";
 
-/** @type {string} Current default pattern used for URL parsing */
+/** @constant {RegExp} INLINE_CONSTRAINT_REGEX - Matches inline constraints of named segments, e.g. `:id<\d+>` */
+const INLINE_CONSTRAINT_REGEX = /:([a-zA-Z0-9_]+)<((?:\\.|[^\\>])+)>/g;
+
+/** @constant {string} DEFAULT_ARRAY_FORMAT - Default array format of query strings and hashes */
+const DEFAULT_ARRAY_FORMAT = "none";
+
+/** @type {string|Object} Current default pattern used for URL parsing */
 let defaultPattern = DEFAULT_PATTERN;
 
+/** @type {string} Current default array format used for query strings and hashes */
+let defaultArrayFormat = DEFAULT_ARRAY_FORMAT;
+
+/** @type {boolean} Whether parsing reports unmatched and invalid pathnames by default */
+let defaultStrict = false;
+
 /**
  * Sets the default URL pattern for parameter extraction.
  * This pattern will be used for all parsing operations that don't specify
  * a custom pattern.
  *
- * @param {string} [pattern=DEFAULT_PATTERN] - The URL pattern to use (e.g., "/users/:id")
+ * @param {string|Object} [pattern=DEFAULT_PATTERN] - The URL pattern to use (e.g., "/users/:id"),
+ *   or a `{ path, schema, hash, state, query, arrayFormat, constraints, strict, outlet }`
+ *   pattern object
  * @example
  * setPattern("/api/:version/users/:id");
+ *
+ * @example
+ * setPattern({ path: "/users/:id", schema: { id: "int" } });
  */
 export function setPattern(pattern = DEFAULT_PATTERN) {
   defaultPattern = pattern;
 }
 
+/**
+ * Sets the default format of arrays and nested objects in query strings and
+ * hashes. Pattern objects can override it with their `arrayFormat` key.
+ *
+ * @param {string} [format=DEFAULT_ARRAY_FORMAT] - One of:
+ *   - "none": repeated keys (`status=open&status=closed`), no nested objects
+ *   - "bracket": `filter[status][]=open&filter[owner][id]=3`
+ *   - "index": `filter[status][0]=open&filter[owner][id]=3`
+ *   - "comma": `filter[status]=open,closed&filter[owner][id]=3`
+ * @throws {Error} If the format is unknown
+ * @example
+ * setArrayFormat("bracket");
+ */
+export function setArrayFormat(format = DEFAULT_ARRAY_FORMAT) {
+  defaultArrayFormat = assertArrayFormat(format);
+}
+
+/**
+ * Enables or disables strict parsing. In strict mode, `toParams` and
+ * `toOwnParams` throw a `RouteError` instead of silently returning fewer params:
+ * - "NO_MATCH" when the pathname doesn't match the pattern
+ * - "INVALID_PARAM" when a pathname param isn't a valid value of its schema type
+ *
+ * Pattern objects can override it with their `strict` key.
+ *
+ * @param {boolean} [strict=true] - Whether to parse strictly
+ * @example
+ * setStrict(process.env.NODE_ENV !== "production");
+ */
+export function setStrict(strict = true) {
+  defaultStrict = !!strict;
+}
+
 /**
  * Cache of compiled UrlPattern instances keyed by pattern string.
  * Parsers are created once and reused to avoid the overhead of
@@ -37,19 +88,174 @@ const parsers = {
   [DEFAULT_PATTERN]: new UrlPattern(DEFAULT_PATTERN),
 };
 
+/**
+ * Gets the path string of a pattern, which is either the pattern itself
+ * or the `path` of a `{ path, schema }` pattern object.
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {string} Path pattern string
+ * @private
+ */
+export const getPath = (pattern = defaultPattern) =>
+  typeof pattern === "object" ? pattern.path || DEFAULT_PATTERN : pattern;
+
+/**
+ * Removes the inline constraints of a path, which `url-pattern` doesn't support.
+ *
+ * @param {string} path - Path pattern string
+ * @returns {string} Path without constraints
+ * @private
+ *
+ * @example
+ * stripConstraints("/users/:id<\\d+>"); // Returns "/users/:id"
+ */
+export const stripConstraints = (path) =>
+  path.replace(INLINE_CONSTRAINT_REGEX, ":$1");
+
+/**
+ * Cache of the constraints declared inline in paths, keyed by path.
+ * @type {Object<string, Object<string, RegExp>>}
+ * @private
+ */
+const inlineConstraints = {};
+
+/**
+ * Gets the constraints of a pattern's named params, declared inline in the
+ * path (`/users/:id<\d+>`, matching the whole segment value) or with the
+ * `constraints` key of a pattern object (`{ id: /^\d+$/ }`, used as is).
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {Object<string, RegExp>} Constraints keyed by param name
+ * @private
+ *
+ * @example
+ * getConstraints("/users/:id<\\d+>"); // Returns { id: /^(?:\d+)$/ }
+ */
+export const getConstraints = (pattern = defaultPattern) => {
+  const path = getPath(pattern);
+  if (!inlineConstraints[path]) {
+    inlineConstraints[path] = Object.fromEntries(
+      Array.from(path.matchAll(INLINE_CONSTRAINT_REGEX), ([, name, source]) => [
+        name,
+        new RegExp(`^(?:${source})$`),
+      ])
+    );
+  }
+
+  const { constraints = {} } = typeof pattern === "object" ? pattern : {};
+  return { ...inlineConstraints[path], ...constraints };
+};
+
+/**
+ * Gets the params schema of a pattern. String patterns have an empty schema.
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {Object} Schema keyed by param name
+ * @private
+ *
+ * @example
+ * getSchema({ path: "/users/:id", schema: { id: "int" } }); // Returns { id: "int" }
+ */
+export const getSchema = (pattern = defaultPattern) =>
+  (typeof pattern === "object" && pattern.schema) || {};
+
+/**
+ * Gets the array format of a pattern, or the default array format.
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {string} Array format
+ * @private
+ */
+export const getArrayFormat = (pattern = defaultPattern) =>
+  (typeof pattern === "object" && pattern.arrayFormat) || defaultArrayFormat;
+
+/**
+ * Checks if a pattern is parsed strictly.
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {boolean} The pattern `strict` key, or the default strict mode
+ * @private
+ */
+export const isStrict = (pattern = defaultPattern) =>
+  typeof pattern === "object" && typeof pattern.strict === "boolean"
+    ? pattern.strict
+    : defaultStrict;
+
+/**
+ * Gets the keys a pattern declares as living in the hash fragment or in the
+ * history state rather than in the query string.
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {{hash: Array<string>, state: Array<string>}} Hash and state keys
+ * @private
+ *
+ * @example
+ * getTargetKeys({ path: "/users/:id", hash: ["section"], state: ["draft"] });
+ * // Returns { hash: ["section"], state: ["draft"] }
+ */
+export const getTargetKeys = (pattern = defaultPattern) => {
+  const { hash = [], state = [] } = typeof pattern === "object" ? pattern : {};
+  return { hash, state };
+};
+
+/**
+ * Gets the query keys a pattern declares as its own. Query params with other
+ * keys are left out of the params parsed with the pattern.
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {Array<string>|null} Declared query keys, or null if all query keys are kept
+ * @private
+ *
+ * @example
+ * getQueryKeys({ path: "/users/:id", query: ["tab"] }); // Returns ["tab"]
+ * getQueryKeys("/users/:id"); // Returns null
+ */
+export const getQueryKeys = (pattern = defaultPattern) =>
+  (typeof pattern === "object" && pattern.query) || null;
+
+/**
+ * Gets the outlet of a pattern: the query key holding the sub-path it's
+ * matched against, instead of the location pathname.
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {string|null} Outlet query key, or null for the main route tree
+ * @private
+ *
+ * @example
+ * getOutlet({ path: "/users/:id", outlet: "panel" }); // Returns "panel"
+ */
+export const getOutlet = (pattern = defaultPattern) =>
+  (typeof pattern === "object" && pattern.outlet) || null;
+
 /**
  * Retrieves or creates a UrlPattern parser for the specified pattern.
  * Parsers are cached to improve performance on repeated usage.
  *
- * @param {string} [pattern=defaultPattern] - The URL pattern to parse with
+ * @param {string|Object} [pattern=defaultPattern] - The URL pattern (or pattern object) to parse with
  * @returns {UrlPattern} Compiled URL pattern parser instance
  * @private
  */
 export const getParser = (pattern = defaultPattern) => {
-  const parser = parsers[pattern];
+  const path = getPath(pattern);
+  const parser = parsers[path];
   if (parser) return parser;
 
-  const newParser = new UrlPattern(pattern);
-  parsers[pattern] = newParser;
+  const newParser = new UrlPattern(stripConstraints(path));
+  parsers[path] = newParser;
   return newParser;
 };
+
+/**
+ * Lists the named params of a pattern that are not inside an optional segment.
+ *
+ * @param {string|Object} [pattern=defaultPattern] - URL pattern or pattern object
+ * @returns {Array<string>} Required param names
+ * @private
+ *
+ * @example
+ * getRequiredNames("/users/:id(/:tab)"); // Returns ["id"]
+ */
+export const getRequiredNames = (pattern = defaultPattern) =>
+  getParser(pattern)
+    .ast.filter(({ tag }) => tag === "named")
+    .map(({ value }) => value);
@@ -0,0 +1,167 @@
+/**
+ * @module routes
+ * @description Named route table.
+ * Registers the application routes by name, resolves which one matches a
+ * location and builds URLs from route names.
+ */
+
+import { toLocation } from "./parsing";
+import { getConstraints, getPath, stripConstraints } from "./router";
+import { isNil } from "./util";
+
+/** @constant {string} DEFAULT_NOT_FOUND - Default name returned when no route matches */
+const DEFAULT_NOT_FOUND = "notFound";
+
+/**
+ * Specificity score of each kind of path segment.
+ * Static segments win over constrained named params, which win over unconstrained
+ * ones, which win over optional and catch-all segments.
+ * @type {Object<string, number>}
+ * @private
+ */
+const SEGMENT_SCORES = {
+  static: 10,
+  constrained: 5,
+  named: 3,
+  optional: 1,
+  wildcard: -2,
+};
+
+/**
+ * Computes the specificity of a pattern from its path segments.
+ * @param {string|Object} pattern - URL pattern or pattern object
+ * @returns {number} Specificity score, higher is more specific
+ * @private
+ *
+ * @example
+ * specificity("/users/new"); // Returns 20
+ * specificity("/users/:id"); // Returns 13
+ * specificity("/users/:id<\\d+>"); // Returns 15
+ */
+function specificity(pattern) {
+  const constrainedNames = Object.keys(getConstraints(pattern));
+  return stripConstraints(getPath(pattern))
+    .split("/")
+    .filter(Boolean)
+    .reduce((score, segment) => {
+      if (segment.includes("*")) return score + SEGMENT_SCORES.wildcard;
+      if (segment.includes("(")) return score + SEGMENT_SCORES.optional;
+      if (
+        segment.startsWith(":") &&
+        constrainedNames.includes(segment.slice(1))
+      ) {
+        return score + SEGMENT_SCORES.constrained;
+      }
+      if (segment.startsWith(":")) return score + SEGMENT_SCORES.named;
+      return score + SEGMENT_SCORES.static;
+    }, 0);
+}
+
+/**
+ * Creates the route table functions bound to a router instance.
+ *
+ * @param {Object} router - Router instance exposing `history`, `matches`, `toParams`, `toUrl` and `redirect`
+ * @returns {{defineRoutes: Function}}
+ * @private
+ */
+export function createRoutes(router) {
+  /** @type {Array<Function>} Functions removing the redirects of the current route aliases */
+  let removeAliases = [];
+
+  /**
+   * Defines the named routes of the application.
+   * Once defined, `toUrl` and `navigate` accept `{ route: name, ...params }`
+   * destinations. Calling it again replaces the previous route table.
+   *
+   * @param {Object<string, string|Object>} routes - Patterns (or pattern objects) keyed by route name.
+   *   Pattern objects may declare `aliases`, patterns redirecting to the route
+   * @param {Object} [options]
+   * @param {string|null} [options.notFound="notFound"] - Name returned by `match` when no route matches
+   * @param {boolean} [options.ordered=false] - If true, routes are tried in definition order
+   *   instead of the most specific first
+   * @returns {Object} Route table with `names`, `get`, `match` and `toUrl`
+   *
+   * @example
+   * const routes = defineRoutes({
+   *   userList: "/users",
+   *   userNew: "/users/new",
+   *   userDetail: { path: "/users/:id", schema: { id: "int" }, aliases: ["/u/:id"] },
+   * });
+   *
+   * routes.match("http://example.com/users/5?tab=posts");
+   * // Returns { name: "userDetail", params: { id: 5, tab: "posts" } }
+   *
+   * toUrl({ route: "userDetail", id: 5 }); // Returns "/users/5"
+   */
+  function defineRoutes(
+    routes,
+    { notFound = DEFAULT_NOT_FOUND, ordered = false } = {}
+  ) {
+    const names = Object.keys(routes);
+    const candidates = ordered
+      ? names
+      : names
+          .map((name, index) => ({
+            name,
+            index,
+            score: specificity(routes[name]),
+          }))
+          .sort((a, b) => b.score - a.score || a.index - b.index)
+          .map(({ name }) => name);
+
+    const table = {
+      /**
+       * Route names, in definition order.
+       * @type {Array<string>}
+       */
+      names,
+
+      /**
+       * Gets the pattern of a named route.
+       * @param {string} name - Route name
+       * @returns {string|Object|undefined} Route pattern
+       */
+      get: (name) => routes[name],
+
+      /**
+       * Finds the route matching a location.
+       *
+       * @param {string|Object|null} [arg] - URL string, Location object, or null (defaults to current location)
+       * @returns {{name: string|null, params: Object}} Matching route name and its params,
+       *   or the `notFound` name with query, hash and state params
+       */
+      match(arg) {
+        const location = isNil(arg) ? router.history.location : toLocation(arg);
+        const name = candidates.find((candidate) =>
+          router.matches(location, routes[candidate])
+        );
+
+        if (isNil(name))
+          return { name: notFound, params: router.toParams(location) };
+        return { name, params: router.toParams(location, routes[name]) };
+      },
+
+      /**
+       * Converts a destination to a URL. Same as `toUrl`, with route names resolved.
+       * @param {string|Function|Object} to - Destination specification
+       * @returns {string} URL string
+       *
+       * @example
+       * routes.toUrl({ route: "userDetail", id: 5 }); // Returns "/users/5"
+       */
+      toUrl: (to) => router.toUrl(to),
+    };
+
+    removeAliases.forEach((remove) => remove());
+    removeAliases = names.flatMap((name) => {
+      const { aliases = [] } =
+        typeof routes[name] === "object" ? routes[name] : {};
+      return aliases.map((alias) => router.redirect(alias, routes[name]));
+    });
+
+    router.routes = table;
+    return table;
+  }
+
+  return { defineRoutes };
+}
@@ -0,0 +1,337 @@
+/**
+ * @module schema
+ * @description Typed parameter schemas.
+ * Coerces raw URL values (always strings) to typed values according to a
+ * per-pattern schema, and serializes them back, so that a param has the same
+ * type whether it comes from the pathname, the query, the hash or the state.
+ */
+
+import { RouteError } from "./errors";
+import { isNil } from "./util";
+
+/** @constant {RegExp} INT_REGEX - Matches integer strings */
+const INT_REGEX = /^[-+]?\d+$/;
+
+/** @constant {string} ARRAY_SUFFIX - Type name suffix declaring an array param */
+const ARRAY_SUFFIX = "[]";
+
+/** @constant {Array<string>} PERSIST_STORAGES - Storages a param can be persisted to */
+const PERSIST_STORAGES = ["local", "session"];
+
+/** @constant {string} PATHNAME_ARRAY_SEPARATOR - Separator of array items in pathname segments */
+const PATHNAME_ARRAY_SEPARATOR = ",";
+
+/**
+ * Built-in param types. `parse` receives a string and returns `undefined`
+ * when the string is not a valid value of the type, while `stringify` returns
+ * `undefined` when the value can't be serialized.
+ * @type {Object<string, {parse: Function, stringify: Function}>}
+ * @private
+ */
+const TYPES = {
+  string: { parse: (str) => str, stringify: String },
+  int: {
+    parse: (str) => (INT_REGEX.test(str) ? Number(str) : undefined),
+    stringify: String,
+  },
+  number: {
+    parse: (str) => {
+      const num = Number(str);
+      return str.trim() === "" || Number.isNaN(num) ? undefined : num;
+    },
+    stringify: String,
+  },
+  boolean: {
+    parse: (str) => {
+      if (str === "true") return true;
+      if (str === "false") return false;
+      return undefined;
+    },
+    stringify: String,
+  },
+  date: {
+    parse: (str) => toValidDate(str),
+    stringify: (value) => {
+      const date = toValidDate(value);
+      return date && date.toISOString().slice(0, 10);
+    },
+  },
+  datetime: {
+    parse: (str) => toValidDate(str),
+    stringify: (value) => {
+      const date = toValidDate(value);
+      return date && date.toISOString();
+    },
+  },
+  json: {
+    parse: (str) => parseJson(str),
+    stringify: (value) => JSON.stringify(value),
+  },
+  base64: {
+    parse: (str) => parseJson(fromBase64Url(str)),
+    stringify: (value) => toBase64Url(JSON.stringify(value)),
+  },
+};
+
+/**
+ * Converts a date string, timestamp or Date to a Date, or `undefined` if invalid.
+ * @param {string|number|Date} value - Date value
+ * @returns {Date|undefined}
+ * @private
+ */
+function toValidDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * Parses a JSON string, or returns `undefined` if invalid.
+ * @param {string|undefined} str - JSON string
+ * @returns {*}
+ * @private
+ */
+function parseJson(str) {
+  try {
+    return JSON.parse(str);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Encodes a string to URL-safe base64, without padding.
+ * @param {string} str - String to encode
+ * @returns {string} Base64url string
+ * @private
+ */
+function toBase64Url(str) {
+  const binary = String.fromCharCode(...new TextEncoder().encode(str));
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+/**
+ * Decodes a URL-safe base64 string, or returns `undefined` if invalid.
+ * @param {string} str - Base64url string
+ * @returns {string|undefined} Decoded string
+ * @private
+ */
+function fromBase64Url(str) {
+  try {
+    const binary = atob(str.replace(/-/g, "+").replace(/_/g, "/"));
+    const bytes = Uint8Array.from(binary, (char) => char.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Normalizes a schema entry to `{ type, array, default, persist }`.
+ * @param {string|Object} spec - Type name (e.g. "int", "string[]") or
+ *   `{ type, default, persist }` object, where `type` may also be a custom
+ *   `{ parse, stringify }` object
+ * @returns {{type: Object, array: boolean, default: *, persist: string|undefined}}
+ * @throws {Error} If the type or the persist storage is unknown
+ * @private
+ */
+function normalizeSpec(spec) {
+  const { type: typeArg = "string", ...rest } =
+    typeof spec === "object" ? spec : { type: spec };
+  if (!isNil(rest.persist) && !PERSIST_STORAGES.includes(rest.persist)) {
+    throw new Error(
+      `Unknown persist storage "${
+        rest.persist
+      }". Expected one of: ${PERSIST_STORAGES.join(", ")}.`
+    );
+  }
+  if (typeof typeArg === "object") return { ...rest, type: typeArg };
+
+  const array = typeArg.endsWith(ARRAY_SUFFIX);
+  const name = array ? typeArg.slice(0, -ARRAY_SUFFIX.length) : typeArg;
+  const type = TYPES[name];
+  if (!type) {
+    throw new Error(
+      `Unknown param type "${name}". Expected one of: ${Object.keys(TYPES).join(
+        ", "
+      )}.`
+    );
+  }
+  return { ...rest, type, array };
+}
+
+/**
+ * Cache of normalized schemas keyed by schema object.
+ * @type {WeakMap<Object, Object>}
+ * @private
+ */
+const normalizedSchemas = new WeakMap();
+
+/**
+ * Normalizes every entry of a schema, caching the result.
+ * @param {Object} schema - Schema keyed by param name
+ * @returns {Object<string, Object>} Normalized schema
+ * @private
+ */
+function normalize(schema) {
+  const cached = normalizedSchemas.get(schema);
+  if (cached) return cached;
+
+  const normalized = Object.fromEntries(
+    Object.entries(schema).map(([key, spec]) => [key, normalizeSpec(spec)])
+  );
+  normalizedSchemas.set(schema, normalized);
+  return normalized;
+}
+
+/**
+ * Coerces a single raw value. Non-string values (e.g. from history state)
+ * are considered already typed and kept as is.
+ * @param {Object} spec - Normalized schema entry
+ * @param {*} raw - Raw value
+ * @param {boolean} pathname - Whether the value comes from a pathname segment
+ * @returns {*} Coerced value, or `undefined` if invalid
+ * @private
+ */
+function coerceValue(spec, raw, pathname) {
+  if (isNil(raw)) return raw;
+
+  if (spec.array) {
+    const items =
+      typeof raw === "string" && pathname
+        ? raw.split(PATHNAME_ARRAY_SEPARATOR)
+        : [].concat(raw);
+    const values = items.map((item) =>
+      coerceValue({ ...spec, array: false }, item)
+    );
+    return values.includes(undefined) ? undefined : values;
+  }
+
+  return typeof raw === "string" ? spec.type.parse(raw) : raw;
+}
+
+/**
+ * Serializes a single typed value to its URL string representation.
+ * @param {Object} spec - Normalized schema entry
+ * @param {*} value - Typed value
+ * @param {boolean} pathname - Whether the value goes in a pathname segment
+ * @returns {string|Array<string>|null|undefined} Serialized value
+ * @private
+ */
+function serializeValue(spec, value, pathname) {
+  if (isNil(value)) return value;
+
+  if (spec.array) {
+    const items = [].concat(value).map((item) => spec.type.stringify(item));
+    if (items.includes(undefined)) return undefined;
+    return pathname ? items.join(PATHNAME_ARRAY_SEPARATOR) : items;
+  }
+  return spec.type.stringify(value);
+}
+
+/**
+ * Coerces raw params according to a schema.
+ * Keys without a schema entry are kept as is; invalid values are dropped.
+ *
+ * @param {Object} [schema={}] - Schema keyed by param name
+ * @param {Object} params - Raw params
+ * @param {Object} [options]
+ * @param {boolean} [options.pathname=false] - Whether params come from the pathname
+ * @returns {Object} Coerced params
+ * @private
+ *
+ * @example
+ * coerceParams({ id: "int", tags: "string[]" }, { id: "007", tags: "a" });
+ * // Returns: { id: 7, tags: ["a"] }
+ */
+export function coerceParams(schema = {}, params, { pathname = false } = {}) {
+  const specs = normalize(schema);
+  return Object.fromEntries(
+    Object.entries(params)
+      .map(([key, raw]) => {
+        const spec = specs[key];
+        return [key, spec ? coerceValue(spec, raw, pathname) : raw];
+      })
+      .filter(([, value]) => value !== undefined)
+  );
+}
+
+/**
+ * Fills in declared default values for missing params.
+ * @param {Object} [schema={}] - Schema keyed by param name
+ * @param {Object} params - Coerced params
+ * @returns {Object} Params with defaults
+ * @private
+ */
+export function withDefaults(schema = {}, params) {
+  const defaults = Object.entries(normalize(schema))
+    .filter(([key, spec]) => spec.default !== undefined && isNil(params[key]))
+    .map(([key, spec]) => [key, spec.default]);
+  return { ...params, ...Object.fromEntries(defaults) };
+}
+
+/**
+ * Lists the params of a schema persisted to a storage.
+ * @param {Object} [schema={}] - Schema keyed by param name
+ * @returns {Array<Array<string>>} `[key, storage]` pairs, `storage` being "local" or "session"
+ * @private
+ *
+ * @example
+ * getPersistedKeys({ pageSize: { type: "int", persist: "local" }, q: "string" });
+ * // Returns: [["pageSize", "local"]]
+ */
+export const getPersistedKeys = (schema = {}) =>
+  Object.entries(normalize(schema))
+    .filter(([, spec]) => spec.persist)
+    .map(([key, spec]) => [key, spec.persist]);
+
+/**
+ * Serializes typed params according to a schema, omitting the ones equal
+ * to their declared default (unless listed in `keep`).
+ *
+ * @param {Object} [schema={}] - Schema keyed by param name
+ * @param {Object} params - Typed params
+ * @param {Object} [options]
+ * @param {boolean} [options.pathname=false] - Whether params go in the pathname
+ * @param {Array<string>} [options.keep=[]] - Keys to keep even when equal to their default
+ * @returns {Object} Serialized params
+ * @throws {RouteError} "INVALID_PARAM" if a value can't be serialized with its type
+ *   (e.g. an invalid date)
+ * @private
+ *
+ * @example
+ * serializeParams({ page: { type: "int", default: 1 } }, { page: 1, q: "x" });
+ * // Returns: { q: "x" }
+ */
+export function serializeParams(
+  schema = {},
+  params,
+  { pathname = false, keep = [] } = {}
+) {
+  const specs = normalize(schema);
+  return Object.fromEntries(
+    Object.entries(params)
+      .map(([key, value]) => {
+        const spec = specs[key];
+        if (!spec) return [key, value];
+
+        const serialized = serializeValue(spec, value, pathname);
+        if (serialized === undefined && value !== undefined) {
+          throw new RouteError(
+            "INVALID_PARAM",
+            `Invalid value for param "${key}": ${JSON.stringify(value)}`,
+            { keys: [key] }
+          );
+        }
+        const isDefault =
+          spec.default !== undefined &&
+          !keep.includes(key) &&
+          JSON.stringify(serialized) ===
+            JSON.stringify(serializeValue(spec, spec.default, pathname));
+        return [key, isDefault ? undefined : serialized];
+      })
+      .filter(([, value]) => value !== undefined)
+  );
+}
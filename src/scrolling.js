@@ -0,0 +1,241 @@
+/**
+ * @module scrolling
+ * @description Scroll position management.
+ * Restores scroll positions on back/forward navigation, scrolls to the top
+ * on new navigations and to `#id` anchors, driven by the history `action`
+ * and `location.key`.
+ */
+
+import { getBrowserStorage, readStorage, writeStorage } from "./util";
+
+/** @constant {string} DEFAULT_STORAGE_KEY - Storage key of the saved scroll positions */
+const DEFAULT_STORAGE_KEY = "params-router:scroll";
+
+/** @constant {number} MAX_POSITIONS - Number of history entries whose scroll position is kept */
+const MAX_POSITIONS = 100;
+
+/**
+ * Creates the scroll functions bound to a router instance.
+ *
+ * @param {Object} router - Router instance exposing `history`
+ * @returns {{enableScrollRestoration: Function, withScroll: Function}}
+ * @private
+ */
+export function createScrolling(router) {
+  /** @type {*} Scroll override of the history change being written, if any */
+  let nextScroll;
+
+  /**
+   * Runs a history write with a scroll override for the resulting history change.
+   * @param {*} scroll - Scroll override: `false`, `"top"`, `{ top, left }` or undefined for the default behavior
+   * @param {Function} write - Function writing to the history
+   * @returns {*} Result of `write`
+   * @private
+   */
+  function withScroll(scroll, write) {
+    nextScroll = scroll;
+    try {
+      return write();
+    } finally {
+      nextScroll = undefined;
+    }
+  }
+
+  /**
+   * Enables scroll management for this router's history:
+   * - PUSH: scrolls to the `#id` anchor of the location, or to the top
+   * - REPLACE: keeps the scroll position, unless the location has an `#id` anchor
+   * - POP (back/forward): restores the position saved for the history entry
+   *
+   * Positions are saved per history entry (`location.key`) in `storage`, so they
+   * survive page reloads. Only the positions of the last 100 entries are kept.
+   * Scrolling happens on the next animation frame, once the new location has
+   * been rendered. Per-navigation overrides are passed with
+   * `navigate(to, { scroll })`: `false` to leave the scroll position untouched,
+   * `"top"` or `{ top, left }` to scroll to a given position.
+   *
+   * Does nothing outside of a browser.
+   *
+   * @param {Object} [options]
+   * @param {Element|string|Function} [options.container=window] - Scrolled element,
+   *   CSS selector or function returning it (e.g. a layout's main panel)
+   * @param {Storage} [options.storage=sessionStorage] - Storage of the saved positions
+   * @param {string} [options.storageKey="params-router:scroll"] - Key of the saved positions in `storage`
+   * @param {string} [options.behavior="auto"] - Scroll behavior, "auto" or "smooth"
+   * @returns {Function} Function disabling scroll management
+   *
+   * @example
+   * const disableScroll = enableScrollRestoration({ container: "#main" });
+   * navigate({ tab: "comments" }, { pattern: "/posts/:id", scroll: false });
+   */
+  function enableScrollRestoration({
+    container,
+    storage,
+    storageKey = DEFAULT_STORAGE_KEY,
+    behavior = "auto",
+  } = {}) {
+    if (typeof window === "undefined") return () => {};
+
+    const store = storage || getBrowserStorage("session");
+    const positions = readStorage(store, storageKey);
+    const { history } = router;
+    const getContainer = () => resolveContainer(container);
+
+    /* Entries are kept in save order, so only the most recent ones are kept */
+    const savePosition = (location) => {
+      const key = toEntryKey(location);
+      delete positions[key];
+      positions[key] = getPosition(getContainer());
+      Object.keys(positions)
+        .slice(0, -MAX_POSITIONS)
+        .forEach((oldKey) => delete positions[oldKey]);
+      writeStorage(store, storageKey, positions);
+    };
+
+    const nativeHistory = window.history;
+    const previousRestoration =
+      nativeHistory && nativeHistory.scrollRestoration;
+    if (previousRestoration) nativeHistory.scrollRestoration = "manual";
+
+    let current = history.location;
+    const unlisten = history.listen((location, action) => {
+      /* Listeners run before the new location is rendered: the container
+       * still shows the previous entry, which is saved before scrolling. */
+      savePosition(current);
+      current = location;
+
+      const target = toTarget(nextScroll, location, action, positions);
+      if (target === false) return;
+      afterRender(() => scrollTo(getContainer(), target, behavior));
+    });
+
+    const onPageHide = () => savePosition(current);
+    window.addEventListener("pagehide", onPageHide);
+
+    return () => {
+      unlisten();
+      window.removeEventListener("pagehide", onPageHide);
+      if (previousRestoration) {
+        nativeHistory.scrollRestoration = previousRestoration;
+      }
+    };
+  }
+
+  return { enableScrollRestoration, withScroll };
+}
+
+/**
+ * Resolves where to scroll after a history change.
+ * @param {*} scroll - Scroll override of the navigation, if any
+ * @param {Object} location - New location
+ * @param {string} action - History action
+ * @param {Object} positions - Saved positions by entry key
+ * @returns {false|{top: number, left: number}|{anchor: string}} Target, or false to leave the scroll untouched
+ * @private
+ */
+function toTarget(scroll, location, action, positions) {
+  if (scroll === false) return false;
+  if (scroll === "top") return { top: 0, left: 0 };
+  if (scroll && typeof scroll === "object") {
+    return { top: scroll.top || 0, left: scroll.left || 0 };
+  }
+
+  if (action === "POP") {
+    return positions[toEntryKey(location)] || { top: 0, left: 0 };
+  }
+
+  const anchor = toAnchor(location.hash);
+  if (anchor) return { anchor };
+  return action === "PUSH" ? { top: 0, left: 0 } : false;
+}
+
+/**
+ * Scrolls a container to a position or anchor.
+ * Falls back to the top when the anchor element doesn't exist
+ * (e.g. a hash used for params rather than as an anchor).
+ * @param {Element|Window} container - Scrolled element
+ * @param {{top: number, left: number}|{anchor: string}} target - Where to scroll
+ * @param {string} behavior - Scroll behavior
+ * @private
+ */
+function scrollTo(container, target, behavior) {
+  if (target.anchor) {
+    const el = document.getElementById(target.anchor);
+    if (el) {
+      el.scrollIntoView({ behavior });
+      return;
+    }
+  }
+
+  const { top = 0, left = 0 } = target;
+  if (typeof container.scrollTo === "function") {
+    container.scrollTo({ top, left, behavior });
+  } else {
+    container.scrollTop = top;
+    container.scrollLeft = left;
+  }
+}
+
+/**
+ * Extracts an element id from a location hash.
+ * Hashes holding params (e.g. `#section=bio&tab=2`) are not anchors.
+ * @param {string} [hash] - Location hash
+ * @returns {string} Anchor id, or an empty string
+ * @private
+ */
+function toAnchor(hash) {
+  const id = (hash || "").replace(/^#/, "");
+  if (!id || /[=&]/.test(id)) return "";
+  try {
+    return decodeURIComponent(id);
+  } catch (e) {
+    return id;
+  }
+}
+
+/**
+ * Key identifying a history entry. Hash histories don't provide
+ * `location.key`, in which case the path is used instead.
+ * @param {Object} location - History location
+ * @returns {string} Entry key
+ * @private
+ */
+const toEntryKey = ({ key, pathname = "", search = "", hash = "" }) =>
+  key || `${pathname}${search}${hash}`;
+
+/**
+ * Gets the scroll position of a container.
+ * @param {Element|Window} container - Scrolled element
+ * @returns {{top: number, left: number}} Scroll position
+ * @private
+ */
+const getPosition = (container) =>
+  container === window
+    ? { top: window.scrollY, left: window.scrollX }
+    : { top: container.scrollTop, left: container.scrollLeft };
+
+/**
+ * Resolves the `container` option to the scrolled element.
+ * @param {Element|string|Function} [container] - Element, CSS selector or function returning it
+ * @returns {Element|Window} Scrolled element, the window by default
+ * @private
+ */
+function resolveContainer(container) {
+  const el =
+    typeof container === "function"
+      ? container()
+      : typeof container === "string"
+      ? document.querySelector(container)
+      : container;
+  return el || window;
+}
+
+/**
+ * Runs a function once the new location has been rendered.
+ * @param {Function} fn - Function to run
+ * @private
+ */
+const afterRender = (fn) =>
+  typeof requestAnimationFrame === "function"
+    ? requestAnimationFrame(() => fn())
+    : setTimeout(fn, 0);
@@ -1,7 +1,8 @@
 /**
  * @module util
  * @description Utility functions for common operations.
- * Helper functions for null checking and object property manipulation.
+ * Helper functions for null checking, equality, object property manipulation,
+ * link clicks, routable patterns and browser storage.
  */
 
 /**
@@ -12,6 +13,32 @@
  */
 export const isNil = (x) => [undefined, null].includes(x);
 
+/**
+ * Checks if two values are structurally equal.
+ * Dates are compared by time, arrays and plain objects recursively.
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if a and b are equal
+ * @private
+ *
+ * @example
+ * isEqual({ tags: ["a"] }, { tags: ["a"] }); // Returns: true
+ */
+export function isEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (!a || !b || typeof a !== "object" || typeof b !== "object") return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keys = Object.keys(a);
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) => isEqual(a[key], b[key]))
+  );
+}
+
 /**
  * Creates a new object containing only properties whose keys are NOT in the provided array.
  * @param {Array<string>} keys - Keys to exclude from the result
@@ -43,3 +70,84 @@ export function omit(keys, obj) {
 export function pick(keys, obj) {
   return Object.fromEntries(keys.map((k) => [k, obj[k]]));
 }
+
+/**
+ * Checks if a click on a link should be handled as a client-side navigation:
+ * not already handled, made with the main button, without modifier keys and
+ * on a link opening in the same browsing context.
+ * @param {MouseEvent} e - Click event
+ * @param {string} [target] - Target attribute of the link
+ * @returns {boolean} True if the click should navigate client-side
+ * @private
+ */
+export const isNavigationClick = (e, target) =>
+  !e.defaultPrevented &&
+  e.button === 0 && // Only main button clicks
+  (!target || target === "_self") && // Let browser handle "target=_blank" etc.
+  !(e.metaKey || e.altKey || e.ctrlKey || e.shiftKey); // Ignore clicks with modifier keys
+
+/**
+ * Converts a string or configuration object into a URL pattern.
+ *
+ * @param {string|Object} stringOrOptions - Pattern or config
+ * @returns {string} Formatted URL pattern
+ * @private
+ *
+ * @example
+ * toPattern("/users/:id"); // Returns "/users/:id"
+ * toPattern({params: ["id", "tab"]}); // Returns "(/:id)(/:tab)"
+ * toPattern({path: "/users/:id"}); // Returns "/users/:id"
+ */
+export function toPattern(stringOrOptions) {
+  if (typeof stringOrOptions === "string") return stringOrOptions;
+  const { path, params = [] } = stringOrOptions;
+  if (typeof path === "string") return path;
+  if (params.length < 1) return "";
+  return params.map((param) => `(/:${param})`).join("");
+}
+
+/**
+ * Gets a browser storage, unavailable outside of a browser and in some privacy modes.
+ * @param {string} name - "local" or "session"
+ * @returns {Storage|null} Storage, if available
+ * @private
+ */
+export function getBrowserStorage(name) {
+  try {
+    if (typeof window === "undefined") return null;
+    return name === "session" ? window.sessionStorage : window.localStorage;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Reads a JSON object from a storage.
+ * @param {Storage|null} storage - Storage holding the object
+ * @param {string} key - Storage key
+ * @returns {Object} Stored object, or an empty object if missing or unreadable
+ * @private
+ */
+export function readStorage(storage, key) {
+  try {
+    return (storage && JSON.parse(storage.getItem(key))) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Writes a JSON object to a storage, ignoring quota and access errors, in
+ * which case the object is only kept in memory.
+ * @param {Storage|null} storage - Storage of the object
+ * @param {string} key - Storage key
+ * @param {Object} value - Object to store
+ * @private
+ */
+export function writeStorage(storage, key, value) {
+  try {
+    if (storage) storage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    /* Only kept in memory */
+  }
+}
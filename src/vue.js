@@ -0,0 +1,219 @@
+/**
+ * @module vue
+ * @description Vue 3 bindings, exposed as the `params-router/vue` entry point.
+ *
+ * Provides a plugin wiring a router into an app, composables subscribing
+ * components to the router history, a `useRoutable` composable mirroring the
+ * hierarchical Svelte `routable` store through `provide`/`inject`, and a
+ * `RouterLink` component rendering a real `href`.
+ *
+ * @example
+ * // main.js
+ * createApp(App).use(paramsRouter, { history: "hash" }).mount("#app");
+ *
+ * @example
+ * // Parent component: /admin/:adminId
+ * const admin = useRoutable("/admin/:adminId");
+ *
+ * // Child component: pattern combined with the parent's, /admin/:adminId/users/:userId
+ * const { params, href, goTo } = useRoutable("/users/:userId");
+ */
+
+import {
+  computed,
+  defineComponent,
+  getCurrentScope,
+  h,
+  inject,
+  onScopeDispose,
+  provide,
+  shallowRef,
+} from "vue";
+import * as defaultRouter from "params-router/core";
+import { ROOT_LEVEL, toLevel, toOwnLevel } from "./nesting";
+import { isEqual, isNavigationClick } from "./util";
+
+/**
+ * Injection key of the router provided by the plugin.
+ * @type {symbol}
+ * @private
+ */
+const ROUTER_KEY = Symbol("params-router");
+
+/**
+ * Injection key of the closest `useRoutable` level, as a computed ref.
+ * @type {symbol}
+ * @private
+ */
+const LEVEL_KEY = Symbol("params-router:level");
+
+/**
+ * Vue plugin providing a router to the app and registering `RouterLink`.
+ * Without the plugin, composables use the default router of the package.
+ *
+ * @type {{install: Function}}
+ *
+ * @example
+ * // Default router, with a hash history
+ * app.use(paramsRouter, { history: "hash" });
+ *
+ * @example
+ * // Router created with `createRouter`
+ * app.use(paramsRouter, { router: createRouter({ history: "memory" }) });
+ */
+export const paramsRouter = {
+  /**
+   * @param {Object} app - Vue app
+   * @param {Object} [options]
+   * @param {Object} [options.router] - Router created with `createRouter`, the default router otherwise
+   * @param {string|Object} [options.history] - History configured on the router with `configureHistory`
+   */
+  install(app, { router = defaultRouter, history } = {}) {
+    if (history) router.configureHistory(history);
+    app.provide(ROUTER_KEY, router);
+    app.component("RouterLink", RouterLink);
+  },
+};
+
+/**
+ * Gets the router provided by the plugin, or the default router.
+ * @returns {Object} Router
+ */
+export function useRouter() {
+  return inject(ROUTER_KEY, defaultRouter);
+}
+
+/**
+ * Subscribes to a router source for the lifetime of the current effect scope.
+ * @param {Function} subscribe - Subscribes a listener, returning an unsubscribe function
+ * @param {*} initialValue - Initial value of the ref
+ * @returns {import('vue').ShallowRef} Ref updated by the listener
+ * @private
+ */
+function useSubscription(subscribe, initialValue) {
+  const ref = shallowRef(initialValue);
+  const unsubscribe = subscribe((value) => {
+    if (!isEqual(value, ref.value)) ref.value = value;
+  });
+  if (getCurrentScope()) onScopeDispose(unsubscribe);
+  return ref;
+}
+
+/**
+ * Subscribes to the router location.
+ * @returns {import('vue').ShallowRef<Object>} Ref of the current location
+ *
+ * @example
+ * const location = useLocation();
+ * const pathname = computed(() => location.value.pathname);
+ */
+export function useLocation() {
+  const router = useRouter();
+  return useSubscription(
+    (fn) => router.trackLocation(fn),
+    router.history.location
+  );
+}
+
+/**
+ * Subscribes to the params of a pattern, built on `trackParams`.
+ * The ref only changes when the (selected) params change.
+ *
+ * @param {string|Object} [pattern] - URL pattern or pattern object
+ * @param {Object} [options] - `trackParams` options (`keys`, `equals`)
+ * @returns {import('vue').ShallowRef<Object>} Ref of the current params
+ *
+ * @example
+ * const params = useParams("/users/:id", { keys: ["id"] });
+ */
+export function useParams(pattern, options) {
+  const router = useRouter();
+  return useSubscription(
+    (fn) => router.trackParams(fn, pattern, options),
+    router.toParams(null, pattern)
+  );
+}
+
+/**
+ * Creates a hierarchical router level, the Vue equivalent of the Svelte
+ * `routable` store. The pattern is combined with the one of the closest
+ * ancestor component calling `useRoutable`, and provided to descendants,
+ * so components don't need to know where they're used.
+ * Must be called in `setup`.
+ *
+ * @param {string|Object} [stringOrOptions=""] - Route pattern or configuration
+ *   (`path`, `params`, `schema`, `hash`, `state`, `query` and `outlet`, as for `routable`)
+ * @returns {Object} Computed refs `level`, `params`, `rootParams`, `rest`, `pattern`
+ *   and `route`, plus `goTo` and `href` functions preserving parent params, and `isActive`
+ *
+ * @example
+ * const { params, rest, href, goTo } = useRoutable({ path: "/users/:id", schema: { id: "int" } });
+ * // In the template: <a :href="href({ id: 3 })">User {{ params.id }}</a>
+ */
+export function useRoutable(stringOrOptions = "") {
+  const router = useRouter();
+  const parent = inject(LEVEL_KEY, null);
+  const own = toOwnLevel(stringOrOptions);
+  const location = useLocation();
+
+  const level = computed(() =>
+    toLevel(router, parent ? parent.value : ROOT_LEVEL, own, location.value)
+  );
+  provide(LEVEL_KEY, level);
+
+  return {
+    level,
+    params: computed(() => level.value.params),
+    rootParams: computed(() => level.value.rootParams),
+    rest: computed(() => level.value.rest),
+    pattern: computed(() => level.value.pattern),
+    route: computed(() => level.value.route),
+    goTo: (to, options) => level.value.goTo(to, options),
+    href: (arg) => level.value.href(arg),
+    isActive: (arg, options) => level.value.isActive(arg, options),
+  };
+}
+
+/**
+ * Link navigating client-side, with a real `href` for accessibility, "open in
+ * new tab" and crawlers. Inside a component calling `useRoutable`, object
+ * destinations are merged with the params of parent levels, unless a
+ * `pattern` is given.
+ *
+ * @example
+ * <RouterLink :to="{ id: 3, tab: 'profile' }" pattern="/users/:id" replace>Profile</RouterLink>
+ */
+export const RouterLink = defineComponent({
+  name: "RouterLink",
+  props: {
+    to: { type: [String, Object, Function], default: "" },
+    pattern: { type: [String, Object], default: undefined },
+    replace: { type: Boolean, default: false },
+    scroll: { type: [Boolean, String, Object], default: undefined },
+  },
+  setup(props, { attrs, slots }) {
+    const router = useRouter();
+    const level = inject(LEVEL_KEY, null);
+    const location = useLocation();
+
+    const inLevel = () => !!level && props.pattern === undefined;
+    const href = computed(() => {
+      location.value; // Updates the `href` of updater functions
+      return inLevel()
+        ? level.value.href(props.to)
+        : router.toUrl(props.to, props.pattern);
+    });
+
+    const onClick = (e) => {
+      if (!isNavigationClick(e, attrs.target)) return;
+
+      e.preventDefault();
+      const { to, pattern, replace, scroll } = props;
+      if (inLevel()) level.value.goTo(to, { replace, scroll });
+      else router.navigate(to, { pattern, replace, scroll });
+    };
+
+    return () =>
+      h("a", { href: href.value, onClick }, slots.default && slots.default());
+  },
+});
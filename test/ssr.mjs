@@ -0,0 +1,42 @@
+/**
+ * Checks that the default router renders hrefs and parses explicit URLs
+ * under Node, without a DOM. Runs against the build: `npm test`.
+ */
+
+import assert from "assert";
+import { toOwnParams, toParams, toUrl } from "params-router";
+
+assert.strictEqual(typeof window, "undefined");
+
+assert.strictEqual(
+  toUrl({ id: 3, tab: "bio" }, "/users/:id"),
+  "/users/3?tab=bio"
+);
+assert.strictEqual(
+  toUrl(
+    { id: 3, page: 1 },
+    {
+      path: "/users/:id",
+      schema: { id: "int", page: { type: "int", default: 1 } },
+    }
+  ),
+  "/users/3"
+);
+assert.deepStrictEqual(toParams("/users/3?tab=bio", "/users/:id"), {
+  id: "3",
+  tab: "bio",
+});
+assert.deepStrictEqual(toOwnParams("/users/3?tab=bio", "/users/:id"), {
+  id: "3",
+});
+
+/* Patterns with persisted params are parsed without creating the history */
+assert.deepStrictEqual(
+  toParams("/table?pageSize=5", {
+    path: "/table",
+    schema: { pageSize: { type: "int", default: 20, persist: "local" } },
+  }),
+  { pageSize: 5 }
+);
+
+console.log("ssr: ok");